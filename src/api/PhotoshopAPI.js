@@ -143,24 +143,40 @@ class PhotoshopAPI {
     async getLayerPixelsFullDocument(layer, document) {
         console.log(`getLayerPixelsFullDocument: Getting full document pixels for layer "${layer.name}"`);
 
-        const width = document.width;
-        const height = document.height;
+        return this.getLayerPixelsInBounds(layer, document, {
+            top: 0,
+            left: 0,
+            bottom: document.height,
+            right: document.width
+        });
+    }
 
-        console.log(`getLayerPixelsFullDocument: Document dimensions: ${width}x${height}`);
+    /**
+     * Get pixel data from a region of a layer in document coordinates
+     * Used for strip-based processing of documents too large to read at once
+     * @param {Layer} layer - Photoshop layer
+     * @param {Document} document - Parent document
+     * @param {Object} bounds - Region {top, left, bottom, right} in document pixels
+     * @returns {Promise<Object>} - Pixel data in ImageData-like format (region size)
+     */
+    async getLayerPixelsInBounds(layer, document, bounds) {
+        const width = bounds.right - bounds.left;
+        const height = bounds.bottom - bounds.top;
 
-        // Use imaging.getPixels API with explicit source bounds = full document
+        console.log(`getLayerPixelsInBounds: Reading ${width}x${height} at (${bounds.left},${bounds.top}) from layer "${layer.name}"`);
+
+        // Use imaging.getPixels API with explicit source bounds
         try {
             const docId = document.id;
 
             const options = {
                 documentID: docId,
                 layerID: layer.id,
-                // Explicitly request full document bounds
                 sourceBounds: {
-                    top: 0,
-                    left: 0,
-                    bottom: height,
-                    right: width
+                    top: bounds.top,
+                    left: bounds.left,
+                    bottom: bounds.bottom,
+                    right: bounds.right
                 }
             };
 
@@ -180,7 +196,7 @@ class PhotoshopAPI {
             }
 
             const rgbaData = new Uint8ClampedArray(pixelArray);
-            console.log(`getLayerPixelsFullDocument: Got ${rgbaData.length} bytes (${width}x${height}x4 = ${width * height * 4} expected)`);
+            console.log(`getLayerPixelsInBounds: Got ${rgbaData.length} bytes (${width}x${height}x4 = ${width * height * 4} expected)`);
 
             return {
                 width: width,
@@ -189,8 +205,8 @@ class PhotoshopAPI {
             };
 
         } catch (error) {
-            console.error('getLayerPixelsFullDocument: Failed:', error);
-            throw new Error(`Cannot read full document pixels from layer "${layer.name}": ${error.message}`);
+            console.error('getLayerPixelsInBounds: Failed:', error);
+            throw new Error(`Cannot read pixels from layer "${layer.name}": ${error.message}`);
         }
     }
 
@@ -309,9 +325,12 @@ class PhotoshopAPI {
      * Set pixel data for a layer
      * @param {Layer} layer - Photoshop layer
      * @param {Object} imageData - Pixel data to set
+     * @param {Object} targetBounds - Optional {top, left, bottom, right}; defaults to (0,0)
+     * @param {boolean} replace - True to replace the whole layer, false to only
+     *                            replace pixels inside targetBounds (strip writes)
      * @returns {Promise<void>}
      */
-    async setLayerPixels(layer, imageData, targetBounds = null) {
+    async setLayerPixels(layer, imageData, targetBounds = null, replace = true) {
         console.log('setLayerPixels called with imageData:', imageData ? 'defined' : 'undefined');
 
         if (!imageData || !imageData.data) {
@@ -354,7 +373,7 @@ class PhotoshopAPI {
                 documentID: docId,  // Explicitly specify document context
                 layerID: layer.id,
                 imageData: psImageData,
-                replace: true
+                replace: replace
             };
 
             // If targetBounds specified, use them; otherwise write to (0,0)
@@ -388,6 +407,129 @@ class PhotoshopAPI {
         }
     }
 
+    /**
+     * Get the names of all channels in a document
+     * @param {Document} document - Photoshop document
+     * @returns {Promise<Array>} - Channel names (component, alpha and spot channels)
+     */
+    async getChannelNames(document) {
+        return Array.from(document.channels || [], channel => channel.name);
+    }
+
+    /**
+     * Create a spot color channel
+     * @param {Document} document - Photoshop document
+     * @param {string} name - Channel name
+     * @param {Object} color - Ink color {r, g, b}
+     * @param {number} solidity - Ink solidity in percent (0-100)
+     * @returns {Promise<void>}
+     */
+    async createSpotChannel(document, name, color, solidity) {
+        console.log(`createSpotChannel: Creating "${name}" RGB(${color.r},${color.g},${color.b}), solidity ${solidity}% in "${document.title}"`);
+
+        await action.batchPlay([
+            {
+                _obj: 'make',
+                new: {
+                    _obj: 'channel',
+                    name: name,
+                    colorIndicates: { _enum: 'maskIndicator', _value: 'spot' },
+                    color: {
+                        _obj: 'RGBColor',
+                        red: color.r,
+                        grain: color.g,
+                        blue: color.b
+                    },
+                    opacity: { _unit: 'percentUnit', _value: solidity }
+                }
+            }
+        ], this.batchPlayOptions);
+    }
+
+    /**
+     * Add ink to a channel where coverage is set
+     * Loads the coverage as a selection and fills it with black (full ink) in
+     * the channel. Pixels outside the coverage are left as they are, so a
+     * channel can be written one strip at a time. With tonal coverage the
+     * selection is partial, which leaves a grayscale channel for halftoning.
+     * @param {Document} document - Photoshop document
+     * @param {string} channelName - Target channel name
+     * @param {Uint8Array} coverage - Coverage per pixel (non-zero = ink)
+     * @param {Object} targetBounds - {top, left, bottom, right} of the coverage in the document
+     * @param {boolean} tonal - Coverage values are ink amounts (0-255) instead of on/off
+     * @returns {Promise<void>}
+     */
+    async fillChannelCoverage(document, channelName, coverage, targetBounds, tonal = false) {
+        const width = targetBounds.right - targetBounds.left;
+        const height = targetBounds.bottom - targetBounds.top;
+
+        const selection = new Uint8Array(width * height);
+        let covered = 0;
+        for (let i = 0; i < selection.length; i++) {
+            if (coverage[i]) {
+                selection[i] = tonal ? coverage[i] : 255;
+                covered++;
+            }
+        }
+
+        // Filling an empty selection fails; nothing to add anyway
+        if (covered === 0) {
+            console.log(`fillChannelCoverage: No coverage for "${channelName}" in rows ${targetBounds.top}-${targetBounds.bottom}`);
+            return;
+        }
+
+        console.log(`fillChannelCoverage: ${covered} pixels into "${channelName}" at rows ${targetBounds.top}-${targetBounds.bottom}`);
+
+        const psImageData = await imaging.createImageDataFromBuffer(selection, {
+            width,
+            height,
+            components: 1,
+            chunky: false,
+            colorProfile: 'Gray Gamma 2.2',
+            colorSpace: 'Grayscale'
+        });
+
+        try {
+            await imaging.putSelection({
+                documentID: document.id,
+                imageData: psImageData,
+                targetBounds: { left: targetBounds.left, top: targetBounds.top }
+            });
+        } finally {
+            if (psImageData.dispose) {
+                psImageData.dispose();
+            }
+        }
+
+        await action.batchPlay([
+            {
+                _obj: 'select',
+                _target: [{ _ref: 'channel', _name: channelName }]
+            },
+            {
+                _obj: 'fill',
+                using: { _enum: 'fillContents', _value: 'black' },
+                opacity: { _unit: 'percentUnit', _value: 100 },
+                mode: { _enum: 'blendMode', _value: 'normal' }
+            }
+        ], this.batchPlayOptions);
+
+        await this.deselect();
+    }
+
+    /**
+     * Make the composite RGB channel the target again
+     * @returns {Promise<void>}
+     */
+    async selectCompositeChannel() {
+        await action.batchPlay([
+            {
+                _obj: 'select',
+                _target: [{ _ref: 'channel', _enum: 'channel', _value: 'RGB' }]
+            }
+        ], this.batchPlayOptions);
+    }
+
     /**
      * Get layer bounds
      * @param {Layer} layer - Photoshop layer
@@ -508,6 +650,28 @@ class PhotoshopAPI {
         layer.visible = visible;
     }
 
+    /**
+     * Lock or unlock all properties of a layer
+     * @param {Layer} layer - Photoshop layer
+     * @param {boolean} locked - Lock state
+     * @returns {Promise<void>}
+     */
+    async setLayerLocked(layer, locked) {
+        layer.allLocked = locked;
+    }
+
+    /**
+     * Move a layer relative to another layer or group
+     * @param {Layer} layer - Layer to move
+     * @param {Layer|LayerGroup} relativeTo - Reference layer or group
+     * @param {string} placement - 'placeBefore', 'placeAfter' or 'placeInside'
+     * @returns {Promise<void>}
+     */
+    async moveLayer(layer, relativeTo, placement) {
+        console.log(`moveLayer: Moving "${layer.name}" (id: ${layer.id}) ${placement} "${relativeTo.name}" (id: ${relativeTo.id})`);
+        await layer.move(relativeTo, placement);
+    }
+
     /**
      * Duplicate a layer
      * @param {Layer} layer - Layer to duplicate
@@ -713,6 +877,24 @@ class PhotoshopAPI {
     }
 
 
+    /**
+     * Close a document without saving
+     * @param {Document} document - Document to close
+     * @returns {Promise<void>}
+     */
+    async closeDocument(document) {
+        console.log(`closeDocument: Closing "${document.title}" (id: ${document.id}) without saving`);
+
+        await action.batchPlay([
+            {
+                _obj: 'close',
+                _target: [{ _ref: 'document', _id: document.id }],
+                saving: { _enum: 'yesNo', _value: 'no' }
+            }
+        ], this.batchPlayOptions);
+    }
+
+
     /**
      * Make a document active
      * @param {Document} document - Document to activate
@@ -764,6 +946,32 @@ class PhotoshopAPI {
         }
     }
 
+    /**
+     * Delete a history state
+     * Deleting the most recent state reverts its changes and removes it from
+     * the History panel, leaving no entry behind.
+     * @param {Document} document - Document owning the history state
+     * @param {number} historyStateId - ID of the history state to delete
+     * @returns {Promise<void>}
+     */
+    async deleteHistoryState(document, historyStateId) {
+        if (historyStateId === null || historyStateId === undefined) {
+            throw new Error('No history state to delete');
+        }
+
+        console.log(`deleteHistoryState: Deleting history state ${historyStateId} in "${document.title}"`);
+
+        await action.batchPlay([
+            {
+                _obj: 'delete',
+                _target: [
+                    { _ref: 'historyState', _id: historyStateId },
+                    { _ref: 'document', _id: document.id }
+                ]
+            }
+        ], this.batchPlayOptions);
+    }
+
     /**
      * Save document
      * @param {Document} document - Photoshop document
@@ -0,0 +1,246 @@
+/**
+ * Color Review
+ * User decisions on the detected colors: merge, exclude (knock out) and ink names
+ */
+
+const ColorUtils = require('../utils/ColorUtils');
+const ColorClusterer = require('../utils/ColorClusterer');
+
+// Version written to JSON, checked when reading
+const FORMAT_VERSION = 1;
+
+class ColorReview {
+    constructor() {
+        // "#FROM" -> "#INTO": the first color's pixels print with the second
+        this.merges = new Map();
+        // "#COLOR": knocked out to the substrate, no plate
+        this.excluded = new Set();
+        // "#COLOR" -> ink name
+        this.names = new Map();
+    }
+
+    /**
+     * Normalize a color to its "#RRGGBB" key
+     * @param {string|Object} color - Hex string or {r, g, b}
+     * @returns {string} - Upper-case hex
+     */
+    static colorKey(color) {
+        return ColorUtils.toHex(typeof color === 'string' ? ColorUtils.parseHex(color) : color);
+    }
+
+    /**
+     * Check whether a detected color is the color of a key
+     * A clustered color also matches any of its member colors.
+     * @param {Object} color - Color {r, g, b} or cluster {r, g, b, members}
+     * @param {string} key - "#RRGGBB"
+     * @returns {boolean}
+     */
+    static matches(color, key) {
+        return ColorReview.colorKey(color) === key ||
+            (!!color.members && color.members.some(member => ColorReview.colorKey(member) === key));
+    }
+
+    /**
+     * Merge one color into another
+     * @param {string|Object} from - Color whose pixels move
+     * @param {string|Object} into - Color they print with
+     * @returns {ColorReview} - This review
+     */
+    merge(from, into) {
+        const fromKey = ColorReview.colorKey(from);
+        const intoKey = ColorReview.colorKey(into);
+
+        if (fromKey === intoKey) {
+            throw new Error(`A color cannot be merged into itself: ${fromKey}`);
+        }
+
+        this.merges.set(fromKey, intoKey);
+        return this;
+    }
+
+    /**
+     * Undo a merge
+     * @param {string|Object} from - Color that was merged
+     * @returns {ColorReview} - This review
+     */
+    unmerge(from) {
+        this.merges.delete(ColorReview.colorKey(from));
+        return this;
+    }
+
+    /**
+     * Exclude a color, or include it again
+     * @param {string|Object} color - Color to knock out to the substrate
+     * @param {boolean} excluded - False to include it again
+     * @returns {ColorReview} - This review
+     */
+    setExcluded(color, excluded = true) {
+        const key = ColorReview.colorKey(color);
+        if (excluded) {
+            this.excluded.add(key);
+        } else {
+            this.excluded.delete(key);
+        }
+        return this;
+    }
+
+    /**
+     * Set the ink name of a color (empty removes it)
+     * @param {string|Object} color - Color to name
+     * @param {string} name - Ink name, e.g. "PANTONE 186 C"
+     * @returns {ColorReview} - This review
+     */
+    setName(color, name) {
+        const key = ColorReview.colorKey(color);
+        const trimmed = (name || '').trim();
+        if (trimmed) {
+            this.names.set(key, trimmed);
+        } else {
+            this.names.delete(key);
+        }
+        return this;
+    }
+
+    /**
+     * Get the ink name of a detected color
+     * @param {Object} color - Color or cluster
+     * @returns {string|null} - Name, or null if the color is not named
+     */
+    getName(color) {
+        for (const [key, name] of this.names) {
+            if (ColorReview.matches(color, key)) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether the review changes anything
+     * @returns {boolean}
+     */
+    get isEmpty() {
+        return this.merges.size === 0 && this.excluded.size === 0 && this.names.size === 0;
+    }
+
+    /**
+     * Apply the review to detected colors
+     * Merged colors become one cluster in the color of the target, excluded
+     * colors are split off and named colors get a name. Colors the review
+     * lists but the document does not have are ignored with a warning, like
+     * print order entries.
+     * @param {Array} colors - Detected colors or clusters {r, g, b, count}
+     * @returns {Object} - {colors, excluded}: plate colors (with name if named) and excluded colors
+     */
+    apply(colors) {
+        let remaining = [...colors];
+        const find = key => remaining.find(color => ColorReview.matches(color, key));
+
+        for (const [fromKey, intoKey] of this.merges) {
+            const from = find(fromKey);
+            const into = find(intoKey);
+
+            if (!from || !into) {
+                console.warn(`Cannot merge ${fromKey} into ${intoKey}: ${from ? intoKey : fromKey} is not in the document, ignoring`);
+                continue;
+            }
+            if (from === into) {
+                continue;
+            }
+
+            const { r, g, b } = into;
+            const merged = ColorClusterer.createCluster([...(into.members || [into]), ...(from.members || [from])], { r, g, b });
+            if (into.locked) {
+                merged.locked = true;
+            }
+
+            remaining = remaining.filter(color => color !== from).map(color => (color === into ? merged : color));
+        }
+
+        const isExcluded = color => [...this.excluded].some(key => ColorReview.matches(color, key));
+
+        return {
+            colors: this.applyNames(remaining.filter(color => !isExcluded(color))),
+            excluded: remaining.filter(isExcluded)
+        };
+    }
+
+    /**
+     * Give named colors their ink name
+     * @param {Array} colors - Plate colors
+     * @returns {Array} - New array; named colors are copies with a name property
+     */
+    applyNames(colors) {
+        return colors.map(color => {
+            const name = this.getName(color);
+            return name ? { ...color, name } : color;
+        });
+    }
+
+    /**
+     * Serialize to a JSON-compatible object
+     * @returns {Object} - {version, merge: [{from, into}], exclude: [hex], names: {hex: name}}
+     */
+    toJSON() {
+        return {
+            version: FORMAT_VERSION,
+            merge: Array.from(this.merges.entries()).map(([from, into]) => ({ from, into })),
+            exclude: Array.from(this.excluded),
+            names: Object.fromEntries(this.names)
+        };
+    }
+
+    /**
+     * Read a review from JSON
+     * @param {string|Object} json - JSON string or parsed object (empty = no changes)
+     * @returns {ColorReview} - New review
+     * @throws {Error} - If the JSON is not a valid color review
+     */
+    static fromJSON(json) {
+        if (json instanceof ColorReview) {
+            return json;
+        }
+
+        let data = json;
+        if (typeof json === 'string') {
+            if (json.trim() === '') {
+                return new ColorReview();
+            }
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new Error(`Invalid color review JSON: ${error.message}`);
+            }
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid color review: expected an object');
+        }
+
+        if (data.version !== undefined && data.version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported color review version ${data.version}, expected ${FORMAT_VERSION}`);
+        }
+
+        const review = new ColorReview();
+
+        for (const entry of data.merge || []) {
+            if (!entry || !entry.from || !entry.into) {
+                throw new Error('Invalid color review merge: expected {from, into}');
+            }
+            review.merge(entry.from, entry.into);
+        }
+
+        for (const color of data.exclude || []) {
+            review.setExcluded(color);
+        }
+
+        for (const [color, name] of Object.entries(data.names || {})) {
+            review.setName(color, String(name));
+        }
+
+        return review;
+    }
+}
+
+// Export for Node.js
+module.exports = ColorReview;
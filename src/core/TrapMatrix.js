@@ -0,0 +1,259 @@
+/**
+ * Trap Matrix
+ * Trap width and direction per pair of colors
+ */
+
+const ColorUtils = require('../utils/ColorUtils');
+const TrapSizeParser = require('../utils/TrapSizeParser');
+
+// Inks closer than this in neutral density are too similar to need a trap
+const MIN_DENSITY_DIFFERENCE = 0.1;
+
+// From this neutral density difference on, pairs get the full trap width
+const FULL_DENSITY_DIFFERENCE = 1.0;
+
+// Version written to JSON, checked when reading
+const FORMAT_VERSION = 1;
+
+class TrapMatrix {
+    constructor() {
+        // "#AAAAAA|#BBBBBB" (sorted) -> {spreader: hex or null, width: inches}
+        this.pairs = new Map();
+    }
+
+    /**
+     * Normalize a color to its "#RRGGBB" key
+     * @param {string|Object} color - Hex string or {r, g, b}
+     * @returns {string} - Upper-case hex
+     */
+    static colorKey(color) {
+        return ColorUtils.toHex(typeof color === 'string' ? ColorUtils.parseHex(color) : color);
+    }
+
+    /**
+     * Key of an unordered color pair
+     * @param {string|Object} a - First color
+     * @param {string|Object} b - Second color
+     * @returns {string} - "#AAAAAA|#BBBBBB" with the colors sorted
+     */
+    static pairKey(a, b) {
+        return [this.colorKey(a), this.colorKey(b)].sort().join('|');
+    }
+
+    /**
+     * Set the trap of a pair: spreader spreads under covering by widthInches
+     * A width of 0 means the pair is not trapped.
+     * @param {string|Object} spreader - Color that spreads
+     * @param {string|Object} covering - Color it spreads under
+     * @param {number} widthInches - Trap width in inches
+     * @returns {TrapMatrix} - This matrix
+     */
+    setTrap(spreader, covering, widthInches) {
+        const spreadKey = TrapMatrix.colorKey(spreader);
+        const coverKey = TrapMatrix.colorKey(covering);
+
+        if (spreadKey === coverKey) {
+            throw new Error(`A color cannot trap under itself: ${spreadKey}`);
+        }
+
+        if (typeof widthInches !== 'number' || !(widthInches >= 0)) {
+            throw new Error(`Trap width must be a non-negative number of inches, got ${widthInches}`);
+        }
+
+        this.pairs.set(TrapMatrix.pairKey(spreadKey, coverKey), {
+            spreader: widthInches > 0 ? spreadKey : null,
+            width: widthInches
+        });
+
+        return this;
+    }
+
+    /**
+     * Mark a pair as not trapped
+     * @param {string|Object} a - First color
+     * @param {string|Object} b - Second color
+     * @returns {TrapMatrix} - This matrix
+     */
+    setNoTrap(a, b) {
+        return this.setTrap(a, b, 0);
+    }
+
+    /**
+     * Get the trap of a pair
+     * @param {string|Object} a - First color
+     * @param {string|Object} b - Second color
+     * @returns {Object|null} - {spreader, width}, or null if the pair is not in the matrix
+     */
+    getTrap(a, b) {
+        const entry = this.pairs.get(TrapMatrix.pairKey(a, b));
+        return entry ? { ...entry } : null;
+    }
+
+    /**
+     * Get how far one color spreads under another
+     * @param {string|Object} from - Spreading color
+     * @param {string|Object} to - Covering color
+     * @returns {number} - Width in inches (0 if not trapped or trapped the other way)
+     */
+    getSpread(from, to) {
+        const entry = this.pairs.get(TrapMatrix.pairKey(from, to));
+        return entry && entry.spreader === TrapMatrix.colorKey(from) ? entry.width : 0;
+    }
+
+    /**
+     * Get the widest trap in the matrix
+     * @returns {number} - Width in inches
+     */
+    maxWidth() {
+        let max = 0;
+        for (const entry of this.pairs.values()) {
+            max = Math.max(max, entry.width);
+        }
+        return max;
+    }
+
+    /**
+     * Number of pairs in the matrix
+     * @returns {number}
+     */
+    get size() {
+        return this.pairs.size;
+    }
+
+    /**
+     * Default trap width for a pair, from the neutral density difference
+     * No trap below MIN_DENSITY_DIFFERENCE, the full width from
+     * FULL_DENSITY_DIFFERENCE, linear in between.
+     * @param {Object} a - First color {r, g, b}
+     * @param {Object} b - Second color {r, g, b}
+     * @param {number} maxTrapInches - Full trap width in inches
+     * @returns {number} - Trap width in inches
+     */
+    static defaultWidth(a, b, maxTrapInches) {
+        const difference = Math.abs(
+            ColorUtils.neutralDensity(a.r, a.g, a.b) - ColorUtils.neutralDensity(b.r, b.g, b.b)
+        );
+
+        if (difference < MIN_DENSITY_DIFFERENCE) {
+            return 0;
+        }
+
+        const t = Math.min(1, (difference - MIN_DENSITY_DIFFERENCE) / (FULL_DENSITY_DIFFERENCE - MIN_DENSITY_DIFFERENCE));
+        return maxTrapInches * t;
+    }
+
+    /**
+     * Create the default matrix for colors in print order
+     * Earlier colors spread under later ones; the width follows the density
+     * difference of the pair (defaultWidth()).
+     * @param {Array} colors - Colors {r, g, b}, first printed first
+     * @param {number} maxTrapInches - Full trap width in inches
+     * @returns {TrapMatrix} - New matrix
+     */
+    static createDefault(colors, maxTrapInches) {
+        const matrix = new TrapMatrix();
+
+        for (let i = 0; i < colors.length; i++) {
+            for (let j = i + 1; j < colors.length; j++) {
+                matrix.setTrap(colors[i], colors[j], this.defaultWidth(colors[i], colors[j], maxTrapInches));
+            }
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Fill pairs missing from this matrix with defaults
+     * @param {Array} colors - Colors {r, g, b}, first printed first
+     * @param {number} maxTrapInches - Full trap width in inches
+     * @returns {TrapMatrix} - New matrix: this matrix's pairs over the defaults
+     */
+    withDefaults(colors, maxTrapInches) {
+        const matrix = TrapMatrix.createDefault(colors, maxTrapInches);
+
+        for (const [key, entry] of this.pairs) {
+            matrix.pairs.set(key, { ...entry });
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Serialize to a JSON-compatible object
+     * @returns {Object} - {version, pairs: [{colors: [a, b], spreader, width}]}, widths in inches
+     */
+    toJSON() {
+        return {
+            version: FORMAT_VERSION,
+            pairs: Array.from(this.pairs.entries()).map(([key, entry]) => ({
+                colors: key.split('|'),
+                spreader: entry.spreader,
+                width: entry.width
+            }))
+        };
+    }
+
+    /**
+     * Read a matrix from JSON
+     * Widths are inches, or trap size strings like "4pt" or "1/32".
+     * @param {string|Object} json - JSON string or parsed object (empty = no pairs)
+     * @returns {TrapMatrix} - New matrix
+     * @throws {Error} - If the JSON is not a valid trap matrix
+     */
+    static fromJSON(json) {
+        if (json instanceof TrapMatrix) {
+            return json;
+        }
+
+        let data = json;
+        if (typeof json === 'string') {
+            if (json.trim() === '') {
+                return new TrapMatrix();
+            }
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new Error(`Invalid trap matrix JSON: ${error.message}`);
+            }
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid trap matrix: expected an object');
+        }
+
+        if (data.version !== undefined && data.version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported trap matrix version ${data.version}, expected ${FORMAT_VERSION}`);
+        }
+
+        const matrix = new TrapMatrix();
+
+        for (const pair of data.pairs || []) {
+            if (!Array.isArray(pair.colors) || pair.colors.length !== 2) {
+                throw new Error('Invalid trap matrix pair: "colors" must list 2 colors');
+            }
+
+            const width = typeof pair.width === 'string' ? TrapSizeParser.parse(pair.width) : pair.width;
+            const [a, b] = pair.colors;
+
+            if (!pair.spreader || !(width > 0)) {
+                matrix.setNoTrap(a, b);
+                continue;
+            }
+
+            const spreader = TrapMatrix.colorKey(pair.spreader);
+            if (spreader !== TrapMatrix.colorKey(a) && spreader !== TrapMatrix.colorKey(b)) {
+                throw new Error(`Invalid trap matrix pair ${a}/${b}: spreader ${pair.spreader} is not one of its colors`);
+            }
+
+            matrix.setTrap(spreader, spreader === TrapMatrix.colorKey(a) ? b : a, width);
+        }
+
+        return matrix;
+    }
+}
+
+TrapMatrix.MIN_DENSITY_DIFFERENCE = MIN_DENSITY_DIFFERENCE;
+TrapMatrix.FULL_DENSITY_DIFFERENCE = FULL_DENSITY_DIFFERENCE;
+
+// Export for Node.js
+module.exports = TrapMatrix;
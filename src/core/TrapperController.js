@@ -4,377 +4,1988 @@
  * Coordinates between UI, Photoshop API, and trapping engine
  */
 
-const { app, action } = require('photoshop');
+const { app, action, core } = require('photoshop');
 const PhotoshopAPI = require('../api/PhotoshopAPI');
 const TrappingEngine = require('./TrappingEngine');
+const TrapMatrix = require('./TrapMatrix');
+const ColorReview = require('./ColorReview');
 const TrapSizeParser = require('../utils/TrapSizeParser');
+const ColorUtils = require('../utils/ColorUtils');
+const ColorClusterer = require('../utils/ColorClusterer');
+const StripPlanner = require('../utils/StripPlanner');
+
+// Where the artwork comes from: one flattened layer, or one layer per plate
+const INPUT_MODES = ['flattened', 'layers'];
+
+// Where applyTrapping() writes its result
+const OUTPUT_MODES = ['inPlace', 'newDocument'];
+
+// How separated plates are written: pixel layers, or spot color channels for film output
+const PLATE_OUTPUTS = ['layers', 'spotChannels'];
+
+// Photoshop's default ink solidity for new spot channels (percent)
+const DEFAULT_SPOT_SOLIDITY = 0;
+
+// Groups used when the original artwork is kept (options.keepOriginal)
+const ORIGINAL_GROUP_NAME = 'Original Art';
+const SEPARATIONS_GROUP_NAME = 'Separations';
+
+// Default limit on the plates (inks) a flattened document may separate into;
+// options.maxColors raises it up to the label map's limit
+const DEFAULT_MAX_COLORS = 10;
+
+// Colors below max(pixels, percent of the image) are anti-aliasing, remapped to the nearest plate
+const DEFAULT_MIN_COLOR_PIXELS = 100;
+const DEFAULT_MIN_COLOR_PERCENT = 0.01;
+
+// Screen printing underbase: white ink printed first, under every other ink
+const UNDERBASE_NAME = 'Underbase';
+const UNDERBASE_COLOR = { r: 255, g: 255, b: 255 };
+
+// Underbase density: solid white under every ink, or tonal (per ink, from its
+// lightness and saturation against the garment)
+const UNDERBASE_MODES = ['solid', 'tonal'];
+
+// Screen printing highlight white: printed last, over the lightest inks
+const HIGHLIGHT_NAME = 'Highlight White';
+const HIGHLIGHT_COLOR = { r: 255, g: 255, b: 255 };
+
+// Plate colors at least this light (CIE L*) print as highlight white unless an ink color is chosen
+const DEFAULT_HIGHLIGHT_THRESHOLD = 95;
+
+// The highlight white is shrunk inside its areas or grown over the inks around them
+const HIGHLIGHT_ADJUSTMENTS = ['choke', 'spread'];
+
+// Name of the temporary layer added by the trap preview
+const PREVIEW_LAYER_NAME = 'Trapper Preview';
 
 class TrapperController {
     constructor() {
         this.psApi = new PhotoshopAPI();
         this.engine = null;
         this.isProcessing = false;
+        // Active trap preview: {documentId, layerId, historyStateId}
+        this.preview = null;
+    }
+
+    /**
+     * Validate trap size inputs
+     * @param {string} minTrap - Minimum trap size
+     * @param {string} maxTrap - Maximum trap size
+     * @throws {Error} - If validation fails
+     */
+    validateTrapSizes(minTrap, maxTrap) {
+        return TrapSizeParser.validateRange(minTrap, maxTrap);
+    }
+
+    /**
+     * Check if current document is valid for trapping
+     * @returns {Promise<Object>} - Validation result
+     */
+    async checkDocumentValidity() {
+        try {
+            const document = await this.psApi.getActiveDocument();
+            if (!document) {
+                return {
+                    isValid: false,
+                    reason: 'No document open'
+                };
+            }
+
+            const docInfo = await this.psApi.getDocumentInfo(document);
+
+            // Check RGB mode
+            if (docInfo.mode !== 'RGB') {
+                return {
+                    isValid: false,
+                    reason: `Document is in ${docInfo.mode} mode. Please convert to RGB mode (Image > Mode > RGB Color).`,
+                    mode: docInfo.mode
+                };
+            }
+
+            // Check bit depth
+            if (docInfo.bitsPerChannel !== 8) {
+                return {
+                    isValid: false,
+                    reason: 'Document must be 8-bit per channel'
+                };
+            }
+
+            // A document trapped with keepOriginal can be re-run from its "Original Art" group
+            const preserved = this.findPreservedOriginal(document);
+            if (preserved) {
+                return {
+                    isValid: true,
+                    docInfo: docInfo,
+                    preservedOriginal: true,
+                    layerPlates: preserved.originalLayers.length
+                };
+            }
+
+            // Pre-separated artwork: one visible, unlocked layer per ink
+            const plateLayers = this.findPlateLayers(document);
+            if (document.layers.length > 1 && plateLayers.length > 1) {
+                return {
+                    isValid: true,
+                    docInfo: docInfo,
+                    layerPlates: plateLayers.length
+                };
+            }
+
+            // Check for exactly 1 unlocked layer
+            const unlockedLayers = document.layers.filter(layer => !layer.locked);
+            if (unlockedLayers.length === 0) {
+                return {
+                    isValid: false,
+                    reason: 'All layers are locked.\n\nPlease unlock at least one layer before applying color trapping.'
+                };
+            }
+
+            if (unlockedLayers.length > 1 || document.layers.length > 1) {
+                const lockedCount = document.layers.length - unlockedLayers.length;
+                let message = `Document has ${document.layers.length} layer(s) total`;
+                if (lockedCount > 0) {
+                    message += ` (${unlockedLayers.length} unlocked, ${lockedCount} locked)`;
+                }
+                message += '.\n\n';
+                message += 'Color trapping requires exactly 1 unlocked layer.\n\n';
+                message += 'Please prepare your document first:\n';
+                message += '1. Flatten or merge all layers (Layer > Flatten Image)\n';
+                message += '2. Rasterize any smart objects (Layer > Rasterize)\n';
+                message += '3. Ensure you have only 1 unlocked layer\n\n';
+                message += 'This ensures clean, predictable color separation.\n\n';
+                message += 'Pre-separated artwork needs at least 2 visible, unlocked pixel layers (one per ink).';
+
+                return {
+                    isValid: false,
+                    reason: message
+                };
+            }
+
+            return {
+                isValid: true,
+                docInfo: docInfo
+            };
+        } catch (error) {
+            return {
+                isValid: false,
+                reason: error.message
+            };
+        }
+    }
+
+
+    /**
+     * Apply trapping to the active document
+     *
+     * Output modes (options.outputMode):
+     * - 'inPlace' (default): modifies the source document (no backup created)
+     * - 'newDocument': duplicates the source as options.outputName
+     *   ("x-trapped.ext" by default) and separates/traps the copy; the source
+     *   document is left untouched. On error or cancel the copy is closed.
+     *
+     * Workflow:
+     * 1. Analyze colors of the single unlocked layer, strip by strip
+     * 2. Create one empty layer per color
+     * 3. Per strip: build a palette-index label map (one byte per pixel), trap
+     *    each color from it and write the strip's rows to that color's layer
+     *
+     * Pass options.cancelToken (CancellationToken) to make the run cancellable;
+     * a cancelled run throws CancellationError so the caller can roll back.
+     *
+     * @param {Object} options - Trapping options
+     * @returns {Promise<void>}
+     */
+    async applyTrapping(options = {}) {
+        if (this.isProcessing) {
+            throw new Error('Trapping is already in progress');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            // Log build information for debugging
+            console.log('==========================================');
+            console.log('TRAPPER PLUGIN STARTING');
+            console.log(`Build ID: ${typeof __BUILD_ID__ !== 'undefined' ? __BUILD_ID__ : 'unknown'}`);
+            console.log(`Build Time: ${typeof __BUILD_TIME__ !== 'undefined' ? __BUILD_TIME__ : 'unknown'}`);
+            console.log('==========================================');
+
+            const outputMode = options.outputMode || 'inPlace';
+            if (!OUTPUT_MODES.includes(outputMode)) {
+                throw new Error(`Unknown output mode "${outputMode}". Expected one of: ${OUTPUT_MODES.join(', ')}`);
+            }
+
+            const plateOutput = options.plateOutput || 'layers';
+            if (!PLATE_OUTPUTS.includes(plateOutput)) {
+                throw new Error(`Unknown plate output "${plateOutput}". Expected one of: ${PLATE_OUTPUTS.join(', ')}`);
+            }
+
+            const spotSolidity = options.spotSolidity !== undefined ? options.spotSolidity : DEFAULT_SPOT_SOLIDITY;
+            if (!(spotSolidity >= 0 && spotSolidity <= 100)) {
+                throw new Error(`Spot channel solidity must be between 0 and 100%, got ${spotSolidity}`);
+            }
+
+            if (outputMode === 'newDocument') {
+                return await this.applyTrappingToNewDocument(options);
+            }
+
+            return await this.separateAndTrap(options);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Duplicate the source document and separate/trap the copy
+     * The copy is closed without saving if anything fails, so a failed or
+     * cancelled run leaves no stray document behind.
+     * @param {Object} options - Trapping options (sourceDocument, outputName, hostControl)
+     * @returns {Promise<Object>} - {documentId, documentTitle} of the new document
+     */
+    async applyTrappingToNewDocument(options) {
+        const sourceDocument = options.sourceDocument;
+        if (!sourceDocument) {
+            throw new Error('No source document provided');
+        }
+
+        const outputName = options.outputName || this.createTrappedDocumentName(sourceDocument.title);
+
+        if (options.onProgress) {
+            options.onProgress(2, `Creating "${outputName}"...`);
+        }
+
+        await this.checkpoint(options.cancelToken);
+        const outputDocument = await this.psApi.duplicateDocument(sourceDocument, outputName);
+
+        try {
+            // Group the work in the new document into a single history entry
+            let suspensionID = null;
+            if (options.hostControl) {
+                suspensionID = await options.hostControl.suspendHistory({
+                    documentID: outputDocument.id,
+                    name: 'Apply Color Trapping'
+                });
+            }
+
+            const result = await this.separateAndTrap({ ...options, sourceDocument: outputDocument });
+
+            if (suspensionID !== null) {
+                await options.hostControl.resumeHistory(suspensionID);
+            }
+
+            return result;
+        } catch (error) {
+            console.log(`Closing "${outputDocument.title}" without saving after failed run`);
+            try {
+                await this.psApi.closeDocument(outputDocument);
+            } catch (closeError) {
+                console.error('Could not close output document:', closeError.message);
+            }
+
+            // Leave the user on their original document
+            await this.psApi.makeDocumentActive(sourceDocument);
+            throw error;
+        }
+    }
+
+    /**
+     * Separate and trap options.sourceDocument in place
+     * @param {Object} options - Trapping options
+     * @returns {Promise<Object>} - {documentId, documentTitle, remapped}; remapped lists {color, pixels} per plate
+     */
+    async separateAndTrap(options) {
+        const run = await this.prepareRun(options);
+        const { document, sourceLayers, preserved, strips, plates } = run;
+
+        if (options.plateOutput === 'spotChannels') {
+            return this.trapToSpotChannels(run, options);
+        }
+
+        // The processed document contains the separated/trapped layers
+        const separatedDocument = document;
+
+        // Re-running on kept artwork always keeps it (and replaces the old separations)
+        const keepOriginal = !!options.keepOriginal || !!preserved;
+        const separationsGroup = keepOriginal ? await this.createSeparationsGroup(document, sourceLayers[0], preserved) : null;
+
+        // Report progress
+        if (options.onProgress) {
+            options.onProgress(25, 'Creating color layers...');
+        }
+
+        // Create one empty layer per color in print order so they stack correctly
+        // (new layers go on top: first printed ends up on bottom, last printed on top)
+        let underbaseLayer = null;
+        if (run.underbase) {
+            underbaseLayer = await this.psApi.createLayer(document, `${run.underbase.name}${run.underbase.tonal ? ' (Tonal)' : ''} - Choke ${run.underbase.chokePixels}px`);
+            console.log(`Created layer: "${underbaseLayer.name}" (id: ${underbaseLayer.id})`);
+            if (separationsGroup && (!underbaseLayer.parent || underbaseLayer.parent.id !== separationsGroup.id)) {
+                await this.psApi.moveLayer(underbaseLayer, separationsGroup, 'placeInside');
+            }
+        }
+
+        const plateLayers = [];
+        for (const plate of plates) {
+            await this.checkpoint(options.cancelToken);
+            const { color, trapPixels, sourceLayer } = plate;
+            const lightness = this.engine.describeLightness(color);
+            // Ink names from the color review replace the color (or source layer) name
+            const baseName = color.name || (sourceLayer ? sourceLayer.name : `Color - RGB(${color.r},${color.g},${color.b})`);
+            const layerName = `${baseName} - ${lightness} - Trap ${trapPixels}px`;
+            const layer = await this.psApi.createLayer(document, layerName);
+            console.log(`Created layer: "${layer.name}" (id: ${layer.id})`);
+
+            // Later plates are created above the previous one, already inside the group
+            if (separationsGroup && (!layer.parent || layer.parent.id !== separationsGroup.id)) {
+                await this.psApi.moveLayer(layer, separationsGroup, 'placeInside');
+            }
+            plateLayers.push(layer);
+        }
+
+        // The highlight white goes on top: printed last
+        let highlightLayer = null;
+        if (run.highlight) {
+            const { name, adjust, widthPixels } = run.highlight;
+            highlightLayer = await this.psApi.createLayer(document, `${name} - ${adjust === 'spread' ? 'Spread' : 'Choke'} ${widthPixels}px`);
+            console.log(`Created layer: "${highlightLayer.name}" (id: ${highlightLayer.id})`);
+            if (separationsGroup && (!highlightLayer.parent || highlightLayer.parent.id !== separationsGroup.id)) {
+                await this.psApi.moveLayer(highlightLayer, separationsGroup, 'placeInside');
+            }
+        }
+
+        // Write each strip's own rows of every trapped plate to its layer
+        await this.processStrips(run, options, {
+            onUnderbase: async ({ ownImage, targetBounds }) => {
+                await this.checkpoint(options.cancelToken);
+                await this.psApi.setLayerPixels(underbaseLayer, ownImage, targetBounds, strips.length === 1);
+            },
+            onPlate: async ({ plate, strip, ownCoverage, ownImage, targetBounds }) => {
+                // Last chance to cancel before this plate's pixels are written
+                await this.checkpoint(options.cancelToken);
+
+                // Layer plates keep their own pixels; separated colors are solid
+                const imageData = ownImage ||
+                    this.engine.expandPlateToImageData(ownCoverage, targetBounds.right, strip.bottom - strip.top, plate.color);
+
+                // Whole document in one strip keeps the original full-layer replace
+                await this.psApi.setLayerPixels(
+                    plateLayers[plate.index],
+                    imageData,
+                    targetBounds,
+                    strips.length === 1
+                );
+            },
+            onHighlight: async ({ highlight, strip, ownCoverage, targetBounds }) => {
+                await this.checkpoint(options.cancelToken);
+                const imageData = this.engine.expandPlateToImageData(ownCoverage, targetBounds.right, strip.bottom - strip.top, highlight.color);
+                await this.psApi.setLayerPixels(highlightLayer, imageData, targetBounds, strips.length === 1);
+            }
+        });
+
+        // Keep the source layers in a hidden, locked group (already there on a re-run),
+        // or delete them since all colors are separated
+        if (keepOriginal) {
+            if (!preserved) {
+                await this.preserveOriginal(document, sourceLayers, separationsGroup);
+            }
+        } else {
+            for (const sourceLayer of sourceLayers) {
+                const sourceLayerToDelete = document.layers.find(l => l.id === sourceLayer.id);
+                if (sourceLayerToDelete) {
+                    console.log(`Deleting source layer "${sourceLayerToDelete.name}" (id: ${sourceLayer.id})`);
+                    await sourceLayerToDelete.delete();
+                } else {
+                    console.warn(`Could not find source layer with id ${sourceLayer.id} to delete`);
+                }
+            }
+        }
+
+        // Verify final layer order
+        console.log('Verifying layer stack (Photoshop order, index 0 = top):');
+        console.log('Expected: Last printed on top [0], first printed on bottom [last]');
+        for (let i = 0; i < document.layers.length; i++) {
+            console.log(`  [${i}] ${document.layers[i].name}`);
+        }
+
+        // Delete the default background layer in separated document if it exists
+        // (in 'layers' mode a background is the user's own, e.g. the garment, and is left alone)
+        if (run.inputMode === 'flattened' && separatedDocument.layers.length > 0) {
+            const bgLayer = separatedDocument.layers[separatedDocument.layers.length - 1];
+            if (bgLayer.isBackgroundLayer || bgLayer.name === 'Background') {
+                try {
+                    await bgLayer.delete();
+                } catch (e) {
+                    console.log('Could not delete background layer:', e.message);
+                }
+            }
+        }
+
+        // Report progress
+        const remapped = this.summarizeRemap(run);
+        if (options.onProgress) {
+            options.onProgress(100, `Complete! Color separated and trapped document created.${this.describeRemap(remapped)}`);
+        }
+
+        // Make absolutely sure the separated document is active
+        const finalActiveDoc = await this.psApi.getActiveDocument();
+        console.log(`Final active document: "${finalActiveDoc.title}" (id: ${finalActiveDoc.id}), layers: ${finalActiveDoc.layers.length}`);
+
+        if (finalActiveDoc.id !== separatedDocument.id) {
+            console.warn(`Active document switched! Expected ${separatedDocument.id}, got ${finalActiveDoc.id}`);
+            // Switch back to the separated document
+            await this.psApi.makeDocumentActive(separatedDocument);
+            console.log('Switched back to separated document');
+        }
+
+        console.log('Trapping complete!');
+
+        return {
+            documentId: separatedDocument.id,
+            documentTitle: separatedDocument.title,
+            remapped
+        };
+    }
+
+    /**
+     * Write trapped plates as spot color channels
+     * Creates one spot channel per plate in print order, named after its
+     * color, with the separated RGB value as ink color. Layers are left as
+     * they are, so the artwork stays visible as the composite.
+     * @param {Object} run - Run context from prepareRun()
+     * @param {Object} options - Trapping options (spotSolidity, onProgress, cancelToken)
+     * @returns {Promise<Object>} - {documentId, documentTitle, channelNames, remapped}
+     */
+    async trapToSpotChannels(run, options) {
+        const { document, plates } = run;
+        const solidity = options.spotSolidity !== undefined ? options.spotSolidity : DEFAULT_SPOT_SOLIDITY;
+
+        if (options.onProgress) {
+            options.onProgress(25, 'Creating spot channels...');
+        }
+
+        // Channels are addressed by name, so names must be unique, also against channels
+        // the document already has (e.g. from an earlier run); the underbase prints first
+        const usedNames = await this.psApi.getChannelNames(document);
+        const channelNames = [];
+        const createChannel = async (baseName, color) => {
+            const name = this.createUniqueName(baseName, usedNames);
+            await this.psApi.createSpotChannel(document, name, color, solidity);
+            usedNames.push(name);
+            channelNames.push(name);
+            return name;
+        };
+
+        const underbaseChannel = run.underbase ? await createChannel(run.underbase.name, run.underbase.color) : null;
+        const plateChannels = [];
+        for (const plate of plates) {
+            await this.checkpoint(options.cancelToken);
+            const { r, g, b } = plate.color;
+            plateChannels.push(await createChannel(plate.color.name || `RGB(${r},${g},${b})`, plate.color));
+        }
+        const highlightChannel = run.highlight ? await createChannel(run.highlight.name, run.highlight.color) : null;
+
+        await this.processStrips(run, options, {
+            onUnderbase: async ({ underbase, ownCoverage, targetBounds }) => {
+                await this.checkpoint(options.cancelToken);
+                await this.psApi.fillChannelCoverage(document, underbaseChannel, ownCoverage, targetBounds, underbase.tonal);
+            },
+            onPlate: async ({ plate, ownCoverage, targetBounds }) => {
+                await this.checkpoint(options.cancelToken);
+                await this.psApi.fillChannelCoverage(document, plateChannels[plate.index], ownCoverage, targetBounds);
+            },
+            onHighlight: async ({ ownCoverage, targetBounds }) => {
+                await this.checkpoint(options.cancelToken);
+                await this.psApi.fillChannelCoverage(document, highlightChannel, ownCoverage, targetBounds);
+            }
+        });
+
+        await this.psApi.selectCompositeChannel();
+
+        const remapped = this.summarizeRemap(run);
+        if (options.onProgress) {
+            options.onProgress(100, `Complete! ${channelNames.length} spot channels created.${this.describeRemap(remapped)}`);
+        }
+
+        console.log(`Spot channels (print order): ${channelNames.join(', ')}`);
+
+        return {
+            documentId: document.id,
+            documentTitle: document.title,
+            channelNames,
+            remapped
+        };
+    }
+
+    /**
+     * Preview trap areas in a temporary overlay layer
+     *
+     * Runs separation and trapping in memory and writes only the newly added
+     * trap pixels to a single overlay layer, each tinted with the color that
+     * spreads there. Source layers are not modified.
+     *
+     * @param {Object} options - Trapping options (same as applyTrapping)
+     * @returns {Promise<Object>} - {layer, legend, trapMatrix}; legend lists {color, lightness, trapPixels, spreadPixels, shades, name} per color,
+     *                             trapMatrix is the matrix used (JSON, defaults filled in) or null
+     */
+    async previewTrapping(options = {}) {
+        if (this.isProcessing) {
+            throw new Error('Trapping is already in progress');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const run = await this.prepareRun(options);
+            const { document, strips, plates } = run;
+            const width = run.docInfo.width;
+
+            // Kept artwork sits in a locked group: create the overlay next to the separations
+            if (run.preserved && run.preserved.separationsGroup) {
+                await this.psApi.makeLayerActive(run.preserved.separationsGroup);
+            }
+            const layer = await this.psApi.createLayer(document, PREVIEW_LAYER_NAME);
+            if (document.layers[0].id !== layer.id) {
+                await this.psApi.moveLayer(layer, document.layers[0], 'placeBefore');
+            }
+            const spreadCounts = new Array(plates.length).fill(0);
+            let overlay = null;
+
+            await this.processStrips(run, options, {
+                onStripStart: async ({ strip }) => {
+                    overlay = this.engine.createImageData(width, strip.bottom - strip.top);
+                },
+                onPlate: async ({ plate, labels, ownStart, ownCoverage, ownOriginal }) => {
+                    const { r, g, b } = plate.color;
+
+                    // Trap pixels = covered now, but not this color (or layer) in the artwork
+                    for (let i = 0; i < ownCoverage.length; i++) {
+                        const isOriginal = ownOriginal ? ownOriginal[i] : labels[ownStart + i] === plate.index;
+                        if (ownCoverage[i] && !isOriginal) {
+                            const idx = i * 4;
+                            overlay.data[idx] = r;
+                            overlay.data[idx + 1] = g;
+                            overlay.data[idx + 2] = b;
+                            overlay.data[idx + 3] = 255;
+                            spreadCounts[plate.index]++;
+                        }
+                    }
+                },
+                onStripEnd: async ({ targetBounds }) => {
+                    await this.checkpoint(options.cancelToken);
+                    await this.psApi.setLayerPixels(layer, overlay, targetBounds, strips.length === 1);
+                    overlay = null;
+                }
+            });
+
+            const legend = plates.map(plate => ({
+                color: plate.color,
+                lightness: this.engine.describeLightness(plate.color),
+                trapPixels: plate.trapPixels,
+                spreadPixels: spreadCounts[plate.index],
+                shades: plate.color.members ? plate.color.members.length : 1,
+                name: plate.color.name || null
+            }));
+            legend.forEach(entry => {
+                console.log(`Preview: RGB(${entry.color.r},${entry.color.g},${entry.color.b}) spreads ${entry.spreadPixels} pixels (trap ${entry.trapPixels}px)`);
+            });
+
+            if (options.onProgress) {
+                options.onProgress(100, 'Preview ready');
+            }
+
+            return { layer, legend, trapMatrix: run.trapMatrix ? run.trapMatrix.toJSON() : null };
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Calculate the trap width of every plate without trapping
+     * Runs the color analysis only (no document changes), so the dialog can
+     * show the widths a run would use.
+     * @param {Object} options - Trapping options (same as applyTrapping)
+     * @returns {Promise<Array>} - Plates in print order {color, lightness, trapInches, trapPixels}
+     */
+    async getTrapWidths(options = {}) {
+        if (this.isProcessing) {
+            throw new Error('Trapping is already in progress');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const run = await this.prepareRun(options);
+
+            return run.plates.map(plate => ({
+                color: plate.color,
+                lightness: this.engine.describeLightness(plate.color),
+                trapInches: plate.trapInches,
+                trapPixels: plate.trapPixels
+            }));
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Analyze the colors a run would separate into, without trapping
+     * Runs the color analysis only (no document changes), so the dialog can
+     * show the palette for review and approval before anything is separated.
+     * @param {Object} options - Trapping options (same as applyTrapping)
+     * @returns {Promise<Array>} - Inks in print order, then excluded colors:
+     *                             {color, lightness, pixels, coverage, shades, spread, locked, name, excluded, substrate, garment, highlight}; coverage in percent
+     */
+    async getPalette(options = {}) {
+        if (this.isProcessing) {
+            throw new Error('Trapping is already in progress');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const run = await this.prepareRun(options);
+            const totalPixels = run.docInfo.width * run.docInfo.height;
+            const describe = (color, pixels, excluded) => ({
+                color,
+                lightness: this.engine.describeLightness(color),
+                pixels,
+                coverage: (pixels / totalPixels) * 100,
+                shades: color.members ? color.members.length : 1,
+                spread: color.spread || 0,
+                locked: !!color.locked,
+                name: color.name || null,
+                excluded,
+                substrate: color === run.substrateColor,
+                garment: !!run.garmentColors && run.garmentColors.includes(color),
+                highlight: !!run.highlight && run.highlight.colors.includes(color)
+            });
+
+            return [
+                ...run.sortedColors.map((color, i) => describe(color, color.count + (run.remappedPixels ? run.remappedPixels[i] : 0), false)),
+                ...(run.excludedColors || []).map(color => describe(color, color.count, true))
+            ];
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Show the trap preview overlay on a document
+     * Runs previewTrapping() in its own modal scope and remembers the history
+     * state it created, so clearPreview() can remove it without a trace.
+     * @param {Object} options - Trapping options (sourceDocument required)
+     * @returns {Promise<Object>} - {legend, trapMatrix} from previewTrapping()
+     */
+    async showPreview(options) {
+        await this.clearPreview();
+
+        const document = options.sourceDocument;
+        let result;
+
+        await core.executeAsModal(async (executionContext) => {
+            if (options.cancelToken) {
+                executionContext.onCancel = () => options.cancelToken.cancel();
+            }
+
+            const suspensionID = await executionContext.hostControl.suspendHistory({
+                documentID: document.id,
+                name: 'Trap Preview'
+            });
+
+            // On error the suspended history is not resumed, so nothing is left behind
+            result = await this.previewTrapping(options);
+            await executionContext.hostControl.resumeHistory(suspensionID);
+        }, {
+            commandName: 'Trap Preview'
+        });
+
+        this.preview = {
+            documentId: document.id,
+            layerId: result.layer.id,
+            historyStateId: document.activeHistoryState ? document.activeHistoryState.id : null
+        };
+        console.log('Preview shown:', JSON.stringify(this.preview));
+
+        return { legend: result.legend, trapMatrix: result.trapMatrix };
+    }
+
+    /**
+     * Remove the trap preview overlay, if one is shown
+     * Deletes the preview's history state, which also reverts the overlay, so
+     * no history entries remain. Falls back to deleting the layer.
+     * @returns {Promise<boolean>} - True if a preview was removed
+     */
+    async clearPreview() {
+        if (!this.preview) {
+            return false;
+        }
+
+        const preview = this.preview;
+        this.preview = null;
+
+        const document = app.documents.find(doc => doc.id === preview.documentId);
+        if (!document) {
+            console.log('Preview document was closed, nothing to clear');
+            return false;
+        }
+
+        await core.executeAsModal(async () => {
+            try {
+                await this.psApi.deleteHistoryState(document, preview.historyStateId);
+                console.log('Preview cleared (history state deleted)');
+            } catch (error) {
+                console.warn('Could not delete preview history state, deleting overlay layer:', error.message);
+                const layer = document.layers.find(l => l.id === preview.layerId);
+                if (layer) {
+                    await layer.delete();
+                }
+            }
+        }, {
+            commandName: 'Clear Trap Preview'
+        });
+
+        return true;
+    }
+
+    /**
+     * Validate settings, analyze colors and plan plates and strips for a run
+     * Shared by applyTrapping() and previewTrapping()
+     *
+     * Input modes (options.inputMode):
+     * - 'flattened' (default): one layer of artwork, separated by color
+     * - 'layers': pre-separated artwork, each visible unlocked layer is a plate
+     *
+     * @param {Object} options - Trapping options
+     * @returns {Promise<Object>} - Run context {document, docInfo, inputMode, sourceLayers, preserved, underbase, strips, sortedColors, plates, cachedStripData}
+     */
+    async prepareRun(options) {
+        const inputMode = options.inputMode || 'flattened';
+        if (!INPUT_MODES.includes(inputMode)) {
+            throw new Error(`Unknown input mode "${inputMode}". Expected one of: ${INPUT_MODES.join(', ')}`);
+        }
+
+        // Source document provided by caller
+        const sourceDocument = options.sourceDocument;
+
+        if (!sourceDocument) {
+            throw new Error('No source document provided');
+        }
+
+        // At this point, document should have exactly 1 unlocked layer, or one per
+        // plate in 'layers' mode (validated in checkDocumentValidity before dialog was shown)
+        console.log(`Processing document: "${sourceDocument.title}"`);
+        console.log(`Document has ${sourceDocument.layers.length} layer(s)`);
+
+        // Report progress
+        if (options.onProgress) {
+            options.onProgress(5, 'Analyzing document...');
+        }
+
+        const document = sourceDocument;
+
+        // Get document properties
+        const docInfo = await this.psApi.getDocumentInfo(document);
+        console.log('Document info:', docInfo);
+
+        // Validate document
+        this.validateDocument(docInfo);
+
+        // Parse trap sizes
+        const trapSizes = TrapSizeParser.validateRange(
+            options.minTrap || '0',
+            options.maxTrap || '1/32'
+        );
+
+        // Plate widths: along a curve from maxTrap to minTrap, or an explicit list per plate
+        const trapCurve = options.trapCurve || 'linear';
+        TrapSizeParser.validateTrapCurve(trapCurve);
+        const trapList = options.trapList ? TrapSizeParser.parseTrapList(options.trapList) : null;
+
+        const colorClustering = options.colorClustering || 'none';
+        if (colorClustering !== 'none' && !ColorClusterer.CLUSTER_METHODS.includes(colorClustering)) {
+            throw new Error(`Unknown color clustering "${colorClustering}". Expected one of: none, ${ColorClusterer.CLUSTER_METHODS.join(', ')}`);
+        }
+
+        // Color reduction: k-means into at most maxColors inks, locked inks kept exactly
+        const maxColors = this.getMaxColors(options);
+        if (colorClustering === 'kmeans' && !(Number.isInteger(options.clusterCount) && options.clusterCount >= 1 && options.clusterCount <= maxColors)) {
+            throw new Error(`Number of inks must be a whole number from 1 to the color limit (${maxColors}), got ${options.clusterCount}`);
+        }
+        const lockedColors = (options.lockedColors || []).map(color => (typeof color === 'string' ? ColorUtils.parseHex(color) : color));
+        if (lockedColors.length > 0 && colorClustering !== 'kmeans') {
+            throw new Error('Locked colors need k-means color clustering');
+        }
+
+        const remapMetric = options.remapMetric || 'deltaE2000';
+        if (!TrappingEngine.DISTANCE_METRICS.includes(remapMetric)) {
+            throw new Error(`Unknown remap metric "${remapMetric}". Expected one of: ${TrappingEngine.DISTANCE_METRICS.join(', ')}`);
+        }
+
+        // Substrate (paper) color: detected, picked as a color, or none (every color is a plate)
+        const substrate = this.parseSubstrate(options.substrate);
+        if (substrate && inputMode === 'layers') {
+            throw new Error('Substrate detection needs the flattened input mode (hide the paper layer for layer plates)');
+        }
+
+        // Optional review of the detected colors: merges, exclusions and ink names
+        const review = options.colorReview ? ColorReview.fromJSON(options.colorReview) : null;
+        const colorReview = review && !review.isEmpty ? review : null;
+        if (colorReview && inputMode === 'layers' && (colorReview.merges.size > 0 || colorReview.excluded.size > 0)) {
+            throw new Error('Merging and excluding colors needs the flattened input mode (layer plates can only be named)');
+        }
+
+        // Optional per-pair trap widths; pairs it leaves out get density-based defaults
+        const trapMatrix = options.trapMatrix ? TrapMatrix.fromJSON(options.trapMatrix) : null;
+
+        // Optional garment knockout (screen printing): the shirt color is bare fabric, not a plate
+        const garment = this.parseGarmentKnockout(options);
+        if (garment && inputMode === 'layers') {
+            throw new Error('The garment knockout needs the flattened input mode');
+        }
+
+        // Optional underbase plate (screen printing), choked by its own width
+        const underbase = this.parseUnderbase(options, docInfo.resolution);
+        if (underbase && inputMode === 'layers') {
+            throw new Error('The underbase needs the flattened input mode');
+        }
+
+        // Optional highlight white (screen printing), printed last with its own choke or spread
+        const highlight = this.parseHighlight(options, docInfo.resolution);
+        if (highlight && inputMode === 'layers') {
+            throw new Error('The highlight white needs the flattened input mode');
+        }
+
+        // Create trapping engine
+        const trapType = options.trapType || 'spread';
+        this.engine = new TrappingEngine({
+            minTrap: trapSizes.min,
+            maxTrap: trapSizes.max,
+            dpi: docInfo.resolution,
+            mode: options.mode || 'offset',
+            trapShape: options.trapShape || 'round',
+            trapType,
+            lightnessModel: options.lightnessModel || 'lab',
+            cancelToken: options.cancelToken
+        });
+
+        // Convert to pixels based on DPI (the widest trap or choke also sets the strip overlap)
+        const minTrapPixels = TrapSizeParser.inchesToPixels(trapSizes.min, docInfo.resolution);
+        const trapPixels = TrapSizeParser.inchesToPixels(this.getMaxTrapInches(trapSizes, trapList, trapMatrix), docInfo.resolution);
+        const maxTrapPixels = this.getStripOverlap(this.engine, trapPixels, underbase, highlight);
+
+        const widthNote = trapList ? `trap list [${trapList.join(', ')}]"` : `${trapCurve} curve`;
+        console.log(`Trap range: ${trapSizes.min}" to ${trapSizes.max}", ${widthNote}${trapMatrix ? `, trap matrix with ${trapMatrix.size} pair(s)` : ''}`);
+        console.log(`Trap pixels: ${minTrapPixels}px to ${trapPixels}px at ${docInfo.resolution} DPI, ${maxTrapPixels}px strip overlap`);
+
+        // Report progress
+        if (options.onProgress) {
+            options.onProgress(10, 'Analyzing colors...');
+        }
+
+        const context = {
+            document,
+            docInfo,
+            trapSizes,
+            maxTrapPixels,
+            trapCurve,
+            trapList,
+            trapMatrix,
+            colorClustering,
+            maxColors,
+            lockedColors,
+            colorReview,
+            substrate,
+            garment,
+            highlight,
+            remapMetric,
+            // Artwork kept by a previous keepOriginal run
+            preserved: this.findPreservedOriginal(document)
+        };
+
+        const plan = inputMode === 'layers'
+            ? await this.planLayerPlates(context, options)
+            : await this.planColorPlates(context, options);
+
+        // White under each plate, now that the plates are known
+        if (underbase) {
+            underbase.densities = this.getUnderbaseDensities(underbase, plan.sortedColors);
+            const summary = plan.sortedColors.map((color, label) => `${ColorUtils.toHex(color)} ${Math.round(underbase.densities[label] * 100)}%`);
+            console.log(`Underbase (${underbase.tonal ? 'tonal' : 'solid'}): ${summary.join(', ')}`);
+        }
+
+        return {
+            document,
+            docInfo,
+            inputMode,
+            preserved: context.preserved,
+            underbase,
+            ...plan
+        };
+    }
+
+    /**
+     * Separate a single layer of flattened artwork by color
+     * Counts colors strip by strip, optionally merges near-duplicates into
+     * clusters, orders the significant colors in print
+     * order (lightest first by default) and remaps anti-aliasing colors to
+     * the nearest of them, so every opaque pixel belongs to a plate.
+     * @param {Object} context - {document, docInfo, trapSizes, maxTrapPixels, trapCurve, trapList, trapMatrix, colorClustering, maxColors, lockedColors, colorReview, substrate, garment, highlight, remapMetric, preserved}
+     * @param {Object} options - Trapping options
+     * @returns {Promise<Object>} - {sourceLayers, strips, sortedColors, plates, trapMatrix, colorRemap, remappedPixels, excludedColors, substrateColor, garmentColors, highlight, cachedStripData};
+     *                              highlight colors come last in sortedColors and have no plate of their own
+     */
+    async planColorPlates(context, options) {
+        const { document, docInfo, trapSizes, maxTrapPixels, preserved } = context;
+
+        // Pre-separated layers must be trapped as plates, not flattened together
+        const layerCount = preserved ? preserved.originalLayers.length : document.layers.length;
+        if (layerCount > 1) {
+            throw new Error(`Document has ${layerCount} layers. Flatten the artwork to 1 layer, or use the "Layers are plates" input mode for pre-separated artwork.`);
+        }
+
+        // Get the single unlocked layer, or the artwork kept by a previous keepOriginal run
+        const sourceLayer = preserved ? preserved.originalLayers[0] : document.layers.find(layer => !layer.locked);
+        if (!sourceLayer) {
+            throw new Error('No unlocked layer found (document structure changed?)');
+        }
+
+        console.log(`Source layer:`, {
+            name: sourceLayer.name,
+            id: sourceLayer.id,
+            kind: sourceLayer.kind,
+            typename: sourceLayer.typename
+        });
+
+        // Plan strips: documents beyond the memory budget are read, trapped and
+        // written in full-width strips. Each strip reads maxTrapPixels of extra
+        // rows above and below, so seams match a whole-image run exactly
+        const { width, height } = docInfo;
+        const strips = StripPlanner.planStrips(width, height, maxTrapPixels, options.memoryBudgetMB);
+        console.log(`Processing ${width}x${height} in ${strips.length} strip(s) with ${maxTrapPixels}px overlap`);
+
+        // Pass 1: count distinct colors strip by strip (no overlap needed)
+        const colorMap = new Map();
+        const borderColors = context.substrate === 'border' ? new Map() : null;
+        let cachedStripData = null;
+        for (let s = 0; s < strips.length; s++) {
+            const strip = strips[s];
+            if (options.onProgress && strips.length > 1) {
+                options.onProgress(10 + (s / strips.length) * 15, `Analyzing colors (strip ${s + 1}/${strips.length})...`);
+            }
+
+            await this.checkpoint(options.cancelToken);
+            const stripData = await this.readStrip(sourceLayer, document, strip, false);
+            this.engine.accumulateColors(stripData, colorMap);
+            if (borderColors) {
+                this.engine.accumulateBorderColors(stripData, borderColors, { top: s === 0, bottom: s === strips.length - 1 });
+            }
+
+            // A single strip covers the whole document (no overlap rows): keep it for pass 2
+            if (strips.length === 1) {
+                cachedStripData = stripData;
+            }
+        }
+        const colorAnalysis = this.engine.summarizeColors(colorMap, width * height);
+        console.log(`Found ${colorAnalysis.colors.length} distinct colors (before filtering)`);
+
+        // Log all colors found with pixel counts
+        colorAnalysis.colors.forEach(c => {
+            console.log(`  Color RGB(${c.r},${c.g},${c.b}): ${c.count} pixels`);
+        });
+
+        // Merge near-duplicate colors (scans, JPEG noise) into one ink each before filtering
+        const colors = this.clusterColors(colorAnalysis.colors, options, context.lockedColors);
+
+        // Filter out colors with very few pixels (likely anti-aliasing artifacts from smart objects)
+        // Default threshold: 100 pixels or 0.01% of total pixels, whichever is more
+        const minPixelThreshold = this.getMinColorPixels(colorAnalysis.totalPixels, options);
+        const filteredColors = colors.filter(c => c.count >= minPixelThreshold);
+
+        console.log(`After filtering (min ${minPixelThreshold} pixels): ${filteredColors.length} distinct colors`);
+        filteredColors.forEach(c => {
+            console.log(`  Color RGB(${c.r},${c.g},${c.b}): ${c.count} pixels`);
+        });
+
+        // The user's review: merged colors print as one ink, excluded colors are knocked out to the substrate
+        const reviewed = context.colorReview
+            ? context.colorReview.apply(filteredColors)
+            : { colors: filteredColors, excluded: [] };
+        if (context.colorReview) {
+            console.log(`After review: ${reviewed.colors.length} plate colors, ${reviewed.excluded.length} excluded:`, reviewed.excluded.map(c => ColorUtils.toHex(c)));
+        }
+
+        // The garment color is bare fabric: no plate, no underbase, nothing spreads into it
+        const { garment } = context;
+        const isGarment = color => !!garment && this.engine.matchesGarment(color, garment.color, garment.tolerance);
+        const garmentColors = reviewed.colors.filter(isGarment);
+        if (garment) {
+            console.log(`Garment ${ColorUtils.toHex(garment.color)} (±${garment.tolerance}): ${garmentColors.length} color(s) knocked out`, garmentColors.map(c => ColorUtils.toHex(c)));
+        }
+
+        // The substrate is open paper: no plate, nothing spreads into it (like excluded colors)
+        const printedColors = reviewed.colors.filter(c => !isGarment(c));
+        const substrateColor = context.substrate ? this.engine.findSubstrate(printedColors, context.substrate, borderColors) : null;
+        const significantColors = printedColors.filter(c => c !== substrateColor);
+        const excludedColors = [...(substrateColor ? [substrateColor] : []), ...garmentColors, ...reviewed.excluded];
+        if (substrateColor) {
+            console.log(`Substrate (${typeof context.substrate === 'string' ? context.substrate : 'picked'}): RGB(${substrateColor.r},${substrateColor.g},${substrateColor.b}), ${substrateColor.count} pixels`);
+        }
+
+        if (significantColors.length > context.maxColors) {
+            const estimate = StripPlanner.estimateRun(width, height, significantColors.length, maxTrapPixels, options.memoryBudgetMB);
+            throw new Error(`Document has ${significantColors.length} distinct colors (after filtering anti-aliasing), exceeds the color limit of ${context.maxColors}. ` +
+                `Raise the limit to ${significantColors.length} (${this.describeEstimate(estimate)}) or reduce colors with k-means color clustering.`);
+        }
+
+        if (significantColors.length === 0) {
+            throw new Error('No significant colors found in document');
+        }
+
+        // Sort colors into print order FIRST (lightest to darkest unless options.printOrder is given)
+        // We create layers in this order, and since new layers go on TOP,
+        // the final stack will be: first printed on bottom, last printed on top
+        const orderedColors = this.engine.orderColors(significantColors, options.printOrder);
+
+        // Highlight colors print last, as one highlight white plate outside the trap order
+        const highlight = context.highlight ? this.selectHighlightColors(context.highlight, orderedColors) : null;
+        const plateColors = highlight ? orderedColors.filter(c => !highlight.colors.includes(c)) : orderedColors;
+        const sortedColors = highlight ? [...plateColors, ...highlight.colors] : orderedColors;
+        console.log('Colors in print order (creation order):', sortedColors.map(c => `RGB(${c.r},${c.g},${c.b}) ${this.engine.describeLightness(c)}`));
+
+        // The filtered colors join their nearest plate instead of leaving holes in it;
+        // those nearest to the substrate or garment (or within the garment tolerance) stay open as well
+        const remapped = this.engine.remapColors(
+            colors.filter(c => c.count < minPixelThreshold).flatMap(c => c.members || [c]).filter(c => !isGarment(c)),
+            [...sortedColors, ...(substrateColor ? [substrateColor] : []), ...(garment ? [garment.color] : [])],
+            context.remapMetric
+        );
+        const remap = remapped.remap;
+        const remappedPixels = remapped.remappedPixels.slice(0, sortedColors.length);
+        for (const [key, index] of remap) {
+            if (index >= sortedColors.length) {
+                remap.delete(key);
+            }
+        }
+        console.log(`Remapped ${remap.size} anti-aliasing color(s) (${context.remapMetric}):`, remappedPixels.map((count, i) => `RGB(${sortedColors[i].r},${sortedColors[i].g},${sortedColors[i].b}) +${count}px`));
+
+        // Cluster members (and merged colors) belong to their cluster's plate, except garment shades
+        for (const [key, index] of ColorClusterer.createMembership(sortedColors)) {
+            if (!isGarment({ r: (key >> 16) & 0xff, g: (key >> 8) & 0xff, b: key & 0xff })) {
+                remap.set(key, index);
+            }
+        }
+
+        const trapMatrix = context.trapMatrix ? context.trapMatrix.withDefaults(plateColors, trapSizes.max) : null;
+
+        return {
+            sourceLayers: [sourceLayer],
+            strips,
+            sortedColors,
+            plates: this.createPlates(plateColors, this.calculatePlateTraps(plateColors, context), docInfo.resolution, trapMatrix),
+            trapMatrix,
+            colorRemap: remap,
+            remappedPixels,
+            excludedColors,
+            substrateColor,
+            garmentColors,
+            highlight,
+            cachedStripData
+        };
+    }
+
+    /**
+     * Use pre-separated layers as plates
+     * Skips color separation: each visible unlocked layer's opaque pixels are
+     * one plate, put in print order by the layer's dominant color (lightest
+     * first by default).
+     * @param {Object} context - {document, docInfo, trapSizes, maxTrapPixels, trapCurve, trapList, trapMatrix, colorClustering, maxColors, lockedColors, colorReview, substrate, garment, highlight, remapMetric, preserved}
+     * @param {Object} options - Trapping options
+     * @returns {Promise<Object>} - {sourceLayers, strips, sortedColors, plates, trapMatrix, cachedStripData}
+     */
+    async planLayerPlates(context, options) {
+        const { document, docInfo, trapSizes, maxTrapPixels, preserved } = context;
+        const { width, height } = docInfo;
+
+        const sourceLayers = this.findPlateLayers(document, preserved);
+        if (sourceLayers.length === 0) {
+            throw new Error('No visible, unlocked pixel layers to use as plates');
+        }
+        if (sourceLayers.length >= TrappingEngine.NO_LABEL) {
+            throw new Error(`Document has ${sourceLayers.length} plate layers, exceeds maximum of ${TrappingEngine.NO_LABEL - 1}`);
+        }
+
+        // Every plate layer's strip is held in memory at once (RGBA, 4 bytes each)
+        const bytesPerPixel = StripPlanner.BYTES_PER_PIXEL + 4 * sourceLayers.length;
+        const strips = StripPlanner.planStrips(width, height, maxTrapPixels, options.memoryBudgetMB, bytesPerPixel);
+        console.log(`Processing ${sourceLayers.length} plate layers, ${width}x${height} in ${strips.length} strip(s) with ${maxTrapPixels}px overlap`);
+
+        // Pass 1: the most frequent color of each layer sets its lightness order
+        const layerPlates = [];
+        for (let i = 0; i < sourceLayers.length; i++) {
+            const layer = sourceLayers[i];
+            const colorMap = new Map();
+
+            for (const strip of strips) {
+                await this.checkpoint(options.cancelToken);
+                this.engine.accumulateColors(await this.readStrip(layer, document, strip, false), colorMap);
+            }
+
+            if (options.onProgress) {
+                options.onProgress(10 + ((i + 1) / sourceLayers.length) * 15, `Analyzing layer ${i + 1}/${sourceLayers.length}: ${layer.name}`);
+            }
+
+            const { colors } = this.engine.summarizeColors(colorMap, width * height);
+            if (colors.length === 0) {
+                console.warn(`Layer "${layer.name}" has no opaque pixels, skipping`);
+                continue;
+            }
+
+            const dominant = colors.reduce((best, c) => (c.count > best.count ? c : best));
+            console.log(`Layer "${layer.name}": dominant color RGB(${dominant.r},${dominant.g},${dominant.b}) of ${colors.length}`);
+            layerPlates.push({ layer, color: dominant });
+        }
+
+        if (layerPlates.length === 0) {
+            throw new Error('All plate layers are empty');
+        }
+
+        // Print order, like separated colors (lightest first by default)
+        const orderedColors = this.engine.orderColors(layerPlates.map(entry => entry.color), options.printOrder);
+        const plateByColor = new Map(layerPlates.map(entry => [entry.color, entry]));
+        layerPlates.splice(0, layerPlates.length, ...orderedColors.map(color => plateByColor.get(color)));
+        const sortedColors = context.colorReview ? context.colorReview.applyNames(orderedColors) : orderedColors;
+        const trapMatrix = context.trapMatrix ? context.trapMatrix.withDefaults(sortedColors, trapSizes.max) : null;
+        const plates = this.createPlates(sortedColors, this.calculatePlateTraps(sortedColors, context), docInfo.resolution, trapMatrix);
+        plates.forEach((plate, i) => {
+            plate.sourceLayer = layerPlates[i].layer;
+        });
+
+        return {
+            sourceLayers,
+            strips,
+            sortedColors,
+            plates,
+            trapMatrix,
+            cachedStripData: null
+        };
+    }
+
+    /**
+     * Merge near-duplicate colors into representative ink colors
+     * @param {Array} colors - Exact colors {r, g, b, count} from the analysis
+     * @param {Object} options - Trapping options (colorClustering, clusterTolerance, clusterCount, cancelToken)
+     * @param {Array} lockedColors - Colors {r, g, b} k-means keeps as inks exactly
+     * @returns {Array} - The colors as they are ('none'), or clusters {r, g, b, count, members, spread}
+     */
+    clusterColors(colors, options, lockedColors = []) {
+        const method = options.colorClustering || 'none';
+        if (method === 'none') {
+            return colors;
+        }
+
+        const clusters = ColorClusterer.cluster(colors, {
+            method,
+            tolerance: options.clusterTolerance,
+            count: options.clusterCount,
+            lockedColors,
+            cancelToken: options.cancelToken
+        });
+
+        console.log(`Clustered ${colors.length} colors into ${clusters.length} (${method}):`);
+        clusters.forEach(c => {
+            console.log(`  Cluster RGB(${c.r},${c.g},${c.b})${c.locked ? ' (locked)' : ''}: ${c.members.length} colors, ${c.count} pixels, spread ΔE ${c.spread.toFixed(1)}`);
+        });
+
+        return clusters;
+    }
+
+    /**
+     * Get the pixel count below which a color counts as anti-aliasing
+     * @param {number} totalPixels - Pixels in the document
+     * @param {Object} options - Trapping options (minColorPixels, minColorPercent)
+     * @returns {number} - max(minColorPixels, minColorPercent % of totalPixels)
+     * @throws {Error} - If a threshold is negative or not a number
+     */
+    getMinColorPixels(totalPixels, options) {
+        const minPixels = options.minColorPixels !== undefined ? options.minColorPixels : DEFAULT_MIN_COLOR_PIXELS;
+        const minPercent = options.minColorPercent !== undefined ? options.minColorPercent : DEFAULT_MIN_COLOR_PERCENT;
+
+        if (!(minPixels >= 0) || !(minPercent >= 0 && minPercent <= 100)) {
+            throw new Error(`Invalid color threshold: ${minPixels} pixels / ${minPercent}%. Use a pixel count >= 0 and a percentage from 0 to 100.`);
+        }
+
+        return Math.max(minPixels, Math.round(totalPixels * minPercent / 100));
+    }
+
+    /**
+     * Validate the garment color settings
+     * @param {Object} options - Trapping options (garmentColor, garmentTolerance)
+     * @returns {Object} - {color, tolerance}; black within the default tolerance if not set
+     * @throws {Error} - If the color or tolerance is invalid
+     */
+    parseGarment(options) {
+        const color = typeof options.garmentColor === 'string'
+            ? ColorUtils.parseHex(options.garmentColor)
+            : (options.garmentColor || { r: 0, g: 0, b: 0 });
+        const tolerance = options.garmentTolerance !== undefined && options.garmentTolerance !== null
+            ? Number(options.garmentTolerance)
+            : TrappingEngine.DEFAULT_GARMENT_TOLERANCE;
+
+        if (!Number.isInteger(tolerance) || tolerance < 0 || tolerance > 255) {
+            throw new Error(`Garment tolerance must be a whole number from 0 to 255, got ${options.garmentTolerance}`);
+        }
+
+        return { color, tolerance };
+    }
+
+    /**
+     * Validate the garment knockout setting
+     * @param {Object} options - Trapping options (garmentKnockout, garmentColor, garmentTolerance, mode)
+     * @returns {Object|null} - Garment {color, tolerance}, or null without knockout
+     * @throws {Error} - If the knockout is requested outside screen mode or a setting is invalid
+     */
+    parseGarmentKnockout(options) {
+        if (!options.garmentKnockout) {
+            return null;
+        }
+
+        if (options.mode !== 'screen') {
+            throw new Error('The garment knockout is a screen printing option. Use screen mode.');
+        }
+
+        return this.parseGarment(options);
+    }
+
+    /**
+     * Validate the underbase settings
+     * @param {Object} options - Trapping options (underbase, underbaseMode, underbaseDensities, garmentColor, garmentTolerance, underbaseChoke, mode)
+     * @param {number} resolution - Document resolution in DPI
+     * @returns {Object|null} - Underbase plate {color, name, garmentColor, garmentTolerance, chokeInches, chokePixels, tonal, inkDensities}, or null without underbase
+     * @throws {Error} - If the underbase is requested outside screen mode or a setting is invalid
+     */
+    parseUnderbase(options, resolution) {
+        if (!options.underbase) {
+            return null;
+        }
+
+        if (options.mode !== 'screen') {
+            throw new Error('The underbase is a screen printing option. Use screen mode.');
+        }
+
+        const underbaseMode = options.underbaseMode || 'solid';
+        if (!UNDERBASE_MODES.includes(underbaseMode)) {
+            throw new Error(`Unknown underbase mode "${underbaseMode}". Expected one of: ${UNDERBASE_MODES.join(', ')}`);
+        }
+
+        const garment = this.parseGarment(options);
+        const chokeInches = TrapSizeParser.parse(options.underbaseChoke || '0');
+
+        return {
+            color: { ...UNDERBASE_COLOR, name: UNDERBASE_NAME },
+            name: UNDERBASE_NAME,
+            garmentColor: garment.color,
+            garmentTolerance: garment.tolerance,
+            chokeInches,
+            chokePixels: TrapSizeParser.inchesToPixels(chokeInches, resolution),
+            tonal: underbaseMode === 'tonal',
+            inkDensities: this.parseUnderbaseDensities(options.underbaseDensities)
+        };
+    }
+
+    /**
+     * Validate per-ink underbase percentages
+     * @param {string|Object} densities - {"#RRGGBB": percent} as an object or JSON (empty = none)
+     * @returns {Map} - "#RRGGBB" -> density (0-1)
+     * @throws {Error} - If the JSON is invalid or a percentage is out of range
+     */
+    parseUnderbaseDensities(densities) {
+        let data = densities || {};
+        if (typeof data === 'string') {
+            if (data.trim() === '') {
+                return new Map();
+            }
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                throw new Error(`Invalid underbase densities JSON: ${error.message}`);
+            }
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid underbase densities: expected {"#RRGGBB": percent}');
+        }
+
+        const inkDensities = new Map();
+        for (const [color, percent] of Object.entries(data)) {
+            const value = Number(percent);
+            if (percent === '' || percent === null || !(value >= 0 && value <= 100)) {
+                throw new Error(`Invalid underbase density for ${color}: ${percent}. Use a percentage from 0 to 100.`);
+            }
+            inkDensities.set(ColorReview.colorKey(color), value / 100);
+        }
+
+        return inkDensities;
+    }
+
+    /**
+     * Underbase density under each plate color
+     * A per-ink percentage wins; otherwise solid is full white and tonal is
+     * estimated from the ink and the garment (TrappingEngine.calculateUnderbaseDensity()).
+     * @param {Object} underbase - Underbase plate from parseUnderbase()
+     * @param {Array} colors - Plate colors, indexed by label
+     * @returns {Float32Array} - Density (0-1) per label
+     */
+    getUnderbaseDensities(underbase, colors) {
+        const densities = new Float32Array(colors.length);
+        const matched = new Set();
+
+        colors.forEach((color, label) => {
+            const key = [...underbase.inkDensities.keys()].find(k => ColorReview.matches(color, k));
+            if (key) {
+                matched.add(key);
+                densities[label] = underbase.inkDensities.get(key);
+            } else {
+                densities[label] = underbase.tonal ? this.engine.calculateUnderbaseDensity(color, underbase.garmentColor) : 1;
+            }
+        });
+
+        for (const key of underbase.inkDensities.keys()) {
+            if (!matched.has(key)) {
+                console.warn(`Underbase density for ${key}: color is not a plate, ignoring`);
+            }
+        }
+
+        return densities;
+    }
+
+    /**
+     * Validate the highlight white settings
+     * @param {Object} options - Trapping options (highlightWhite, highlightColor, highlightThreshold, highlightAdjust, highlightWidth, mode)
+     * @param {number} resolution - Document resolution in DPI
+     * @returns {Object|null} - Highlight plate {color, name, inkColor, threshold, adjust, widthInches, widthPixels}, or null without highlight white
+     * @throws {Error} - If the highlight white is requested outside screen mode or a setting is invalid
+     */
+    parseHighlight(options, resolution) {
+        if (!options.highlightWhite) {
+            return null;
+        }
+
+        if (options.mode !== 'screen') {
+            throw new Error('The highlight white is a screen printing option. Use screen mode.');
+        }
+
+        const adjust = options.highlightAdjust || 'choke';
+        if (!HIGHLIGHT_ADJUSTMENTS.includes(adjust)) {
+            throw new Error(`Unknown highlight adjustment "${adjust}". Expected one of: ${HIGHLIGHT_ADJUSTMENTS.join(', ')}`);
+        }
+
+        // A chosen white ink color selects its plate; otherwise plates at least threshold light
+        const inkColor = options.highlightColor
+            ? (typeof options.highlightColor === 'string' ? ColorUtils.parseHex(options.highlightColor) : options.highlightColor)
+            : null;
+        const threshold = options.highlightThreshold !== undefined ? Number(options.highlightThreshold) : DEFAULT_HIGHLIGHT_THRESHOLD;
+        if (!inkColor && !(threshold >= 0 && threshold <= 100)) {
+            throw new Error(`Invalid highlight threshold: ${options.highlightThreshold}. Use a lightness (L*) from 0 to 100.`);
+        }
+
+        const widthInches = TrapSizeParser.parse(options.highlightWidth || '0');
+        const { r, g, b } = inkColor || HIGHLIGHT_COLOR;
+
+        return {
+            color: { r, g, b, name: HIGHLIGHT_NAME },
+            name: HIGHLIGHT_NAME,
+            inkColor,
+            threshold,
+            adjust,
+            widthInches,
+            widthPixels: TrapSizeParser.inchesToPixels(widthInches, resolution)
+        };
     }
 
     /**
-     * Validate trap size inputs
-     * @param {string} minTrap - Minimum trap size
-     * @param {string} maxTrap - Maximum trap size
-     * @throws {Error} - If validation fails
+     * Pick the plate colors that print as highlight white
+     * @param {Object} highlight - Highlight plate from parseHighlight()
+     * @param {Array} colors - Plate colors in print order
+     * @returns {Object|null} - The highlight with its colors, or null (with a warning) if no color qualifies
      */
-    validateTrapSizes(minTrap, maxTrap) {
-        return TrapSizeParser.validateRange(minTrap, maxTrap);
+    selectHighlightColors(highlight, colors) {
+        const selected = highlight.inkColor
+            ? colors.filter(color => ColorReview.matches(color, ColorUtils.toHex(highlight.inkColor)))
+            : colors.filter(color => ColorUtils.lightnessLab(color.r, color.g, color.b) >= highlight.threshold);
+        const source = highlight.inkColor ? `ink color ${ColorUtils.toHex(highlight.inkColor)}` : `L* >= ${highlight.threshold}`;
+
+        if (selected.length === 0) {
+            console.warn(`Highlight white (${source}): no plate color matches, no highlight plate`);
+            return null;
+        }
+        if (selected.length === colors.length) {
+            throw new Error(`Every color would print as highlight white (${source}). Raise the threshold or choose the white ink color.`);
+        }
+
+        console.log(`Highlight white (${source}): ${selected.map(c => ColorUtils.toHex(c)).join(', ')}, ${highlight.adjust} ${highlight.widthPixels}px`);
+        return { ...highlight, colors: selected };
     }
 
     /**
-     * Check if current document is valid for trapping
-     * @returns {Promise<Object>} - Validation result
+     * Validate the substrate setting
+     * @param {string|Object} substrate - 'none', 'border', 'mostCommon', or a color (hex or {r, g, b})
+     * @returns {string|Object|null} - Detection method or color {r, g, b}, or null for none
+     * @throws {Error} - If the setting is neither a detection method nor a color
      */
-    async checkDocumentValidity() {
+    parseSubstrate(substrate) {
+        if (!substrate || substrate === 'none') {
+            return null;
+        }
+
+        if (TrappingEngine.SUBSTRATE_DETECTIONS.includes(substrate) || typeof substrate === 'object') {
+            return substrate;
+        }
+
         try {
-            const document = await this.psApi.getActiveDocument();
-            if (!document) {
-                return {
-                    isValid: false,
-                    reason: 'No document open'
-                };
-            }
+            return ColorUtils.parseHex(substrate);
+        } catch (error) {
+            throw new Error(`Unknown substrate "${substrate}". Expected one of: none, ${TrappingEngine.SUBSTRATE_DETECTIONS.join(', ')}, or a hex color`);
+        }
+    }
 
-            const docInfo = await this.psApi.getDocumentInfo(document);
+    /**
+     * Get the color limit of a run
+     * @param {Object} options - Trapping options (maxColors)
+     * @returns {number} - Most plates a flattened document may separate into
+     * @throws {Error} - If the limit is not a whole number the label map supports
+     */
+    getMaxColors(options) {
+        const maxColors = options.maxColors !== undefined ? options.maxColors : DEFAULT_MAX_COLORS;
+        const limit = TrappingEngine.NO_LABEL - 1;
 
-            // Check RGB mode
-            if (docInfo.mode !== 'RGB') {
-                return {
-                    isValid: false,
-                    reason: `Document is in ${docInfo.mode} mode. Please convert to RGB mode (Image > Mode > RGB Color).`,
-                    mode: docInfo.mode
-                };
-            }
+        if (!Number.isInteger(maxColors) || maxColors < 1 || maxColors > limit) {
+            throw new Error(`Color limit must be a whole number from 1 to ${limit}, got ${maxColors}`);
+        }
 
-            // Check bit depth
-            if (docInfo.bitsPerChannel !== 8) {
-                return {
-                    isValid: false,
-                    reason: 'Document must be 8-bit per channel'
-                };
-            }
+        return maxColors;
+    }
 
-            // Check for exactly 1 unlocked layer
-            const unlockedLayers = document.layers.filter(layer => !layer.locked);
-            if (unlockedLayers.length === 0) {
-                return {
-                    isValid: false,
-                    reason: 'All layers are locked.\n\nPlease unlock at least one layer before applying color trapping.'
-                };
-            }
+    /**
+     * Get the widest trap of a run, which sets the strip overlap
+     * @param {Object} trapSizes - {min, max} in inches
+     * @param {Array|null} trapList - Explicit widths in inches
+     * @param {TrapMatrix|null} trapMatrix - Per-pair widths
+     * @returns {number} - Width in inches
+     */
+    getMaxTrapInches(trapSizes, trapList, trapMatrix) {
+        return Math.max(trapSizes.max, trapMatrix ? trapMatrix.maxWidth() : 0, ...(trapList || []));
+    }
 
-            if (unlockedLayers.length > 1 || document.layers.length > 1) {
-                const lockedCount = document.layers.length - unlockedLayers.length;
-                let message = `Document has ${document.layers.length} layer(s) total`;
-                if (lockedCount > 0) {
-                    message += ` (${unlockedLayers.length} unlocked, ${lockedCount} locked)`;
-                }
-                message += '.\n\n';
-                message += 'Color trapping requires exactly 1 unlocked layer.\n\n';
-                message += 'Please prepare your document first:\n';
-                message += '1. Flatten or merge all layers (Layer > Flatten Image)\n';
-                message += '2. Rasterize any smart objects (Layer > Rasterize)\n';
-                message += '3. Ensure you have only 1 unlocked layer\n\n';
-                message += 'This ensures clean, predictable color separation.';
+    /**
+     * Get the strip overlap of a run: the rows of context every trap and choke needs
+     * @param {TrappingEngine} engine - Engine with the run's trap shape and type
+     * @param {number} trapPixels - Widest plate trap in pixels
+     * @param {Object|null} underbase - Underbase from parseUnderbase()
+     * @param {Object|null} highlight - Highlight white from parseHighlight()
+     * @returns {number} - Overlap in pixels
+     */
+    getStripOverlap(engine, trapPixels, underbase, highlight) {
+        let highlightPixels = 0;
+        if (highlight) {
+            highlightPixels = highlight.adjust === 'spread' ? engine.getSpreadReach(highlight.widthPixels) : highlight.widthPixels;
+        }
 
-                return {
-                    isValid: false,
-                    reason: message
-                };
-            }
+        return Math.max(engine.getTrapOverlap(trapPixels), underbase ? underbase.chokePixels : 0, highlightPixels);
+    }
 
-            return {
-                isValid: true,
-                docInfo: docInfo
-            };
-        } catch (error) {
-            return {
-                isValid: false,
-                reason: error.message
-            };
+    /**
+     * Estimate memory and time of a run before any pixels are read
+     * Uses the document size, the widest trap and the number of plates: the
+     * plate layers in 'layers' mode, otherwise options.plateCount, the k-means
+     * ink count or the color limit (the worst case).
+     * @param {Object} options - Trapping options (same as applyTrapping, plus optional plateCount)
+     * @returns {Promise<Object>} - {width, height, plates, strips, peakBytes, seconds}
+     */
+    async estimateRun(options = {}) {
+        const document = options.sourceDocument;
+        if (!document) {
+            throw new Error('No source document provided');
+        }
+
+        const docInfo = await this.psApi.getDocumentInfo(document);
+        const trapSizes = TrapSizeParser.validateRange(options.minTrap || '0', options.maxTrap || '1/32');
+        const trapList = options.trapList ? TrapSizeParser.parseTrapList(options.trapList) : null;
+        const trapMatrix = options.trapMatrix ? TrapMatrix.fromJSON(options.trapMatrix) : null;
+        const trapPixels = TrapSizeParser.inchesToPixels(this.getMaxTrapInches(trapSizes, trapList, trapMatrix), docInfo.resolution);
+        const engine = new TrappingEngine({ trapShape: options.trapShape || 'round', trapType: options.trapType || 'spread' });
+        const underbase = this.parseUnderbase(options, docInfo.resolution);
+        const highlight = this.parseHighlight(options, docInfo.resolution);
+        const maxTrapPixels = this.getStripOverlap(engine, trapPixels, underbase, highlight);
+
+        let plates;
+        let bytesPerPixel = StripPlanner.BYTES_PER_PIXEL;
+        if (options.inputMode === 'layers') {
+            plates = this.findPlateLayers(document, this.findPreservedOriginal(document)).length;
+            bytesPerPixel += 4 * plates;
+        } else if (options.plateCount) {
+            plates = options.plateCount;
+        } else {
+            plates = options.colorClustering === 'kmeans' && options.clusterCount ? options.clusterCount : this.getMaxColors(options);
+        }
+        if (underbase) {
+            plates++;
         }
+        if (highlight) {
+            plates++;
+        }
+
+        const estimate = StripPlanner.estimateRun(docInfo.width, docInfo.height, Math.max(1, plates), maxTrapPixels, options.memoryBudgetMB, bytesPerPixel);
+        console.log(`Estimate for ${docInfo.width}x${docInfo.height}, ${plates} plates, ${maxTrapPixels}px trap: ${this.describeEstimate(estimate)}`);
+
+        return { width: docInfo.width, height: docInfo.height, plates, ...estimate };
     }
 
+    /**
+     * Describe an estimate for messages
+     * @param {Object} estimate - {strips, peakBytes, seconds} from StripPlanner.estimateRun()
+     * @returns {string} - e.g. "about 288 MB peak memory and 20 s in 1 strip"
+     */
+    describeEstimate(estimate) {
+        const megabytes = Math.ceil(estimate.peakBytes / (1024 * 1024));
+        const seconds = estimate.seconds < 90
+            ? `${Math.max(1, Math.round(estimate.seconds))} s`
+            : `${Math.round(estimate.seconds / 60)} min`;
+        return `about ${megabytes.toLocaleString()} MB peak memory and ${seconds} in ${estimate.strips} strip(s)`;
+    }
 
     /**
-     * Apply trapping to the active document
-     *
-     * Modifies the active document in place (no backup created).
-     * User is responsible for making their own backups before running the plugin.
-     *
-     * Workflow:
-     * 1. Flatten the active document
-     * 2. Analyze colors and create separated layers
-     * 3. Apply trapping to each layer
-     *
-     * @param {Object} options - Trapping options
-     * @returns {Promise<void>}
+     * Summarize how source colors were merged into each plate
+     * @param {Object} run - Run context from prepareRun()
+     * @returns {Array} - {color, pixels, shades, spread} per plate in print order (empty for layer plates):
+     *                    anti-aliasing pixels remapped, colors in the plate's cluster and their ΔE spread
      */
-    async applyTrapping(options = {}) {
-        if (this.isProcessing) {
-            throw new Error('Trapping is already in progress');
+    summarizeRemap(run) {
+        if (!run.remappedPixels) {
+            return [];
         }
 
-        this.isProcessing = true;
+        const remapped = run.plates.map(plate => ({
+            color: plate.color,
+            pixels: run.remappedPixels[plate.index],
+            shades: plate.color.members ? plate.color.members.length : 1,
+            spread: plate.color.spread || 0
+        }));
+        remapped.forEach(entry => {
+            console.log(`Remapped to RGB(${entry.color.r},${entry.color.g},${entry.color.b}): ${entry.pixels} pixels (${entry.shades} color(s), spread ΔE ${entry.spread.toFixed(1)})`);
+        });
+
+        return remapped;
+    }
 
-        try {
-            // Log build information for debugging
-            console.log('==========================================');
-            console.log('TRAPPER PLUGIN STARTING');
-            console.log(`Build ID: ${typeof __BUILD_ID__ !== 'undefined' ? __BUILD_ID__ : 'unknown'}`);
-            console.log(`Build Time: ${typeof __BUILD_TIME__ !== 'undefined' ? __BUILD_TIME__ : 'unknown'}`);
-            console.log('==========================================');
+    /**
+     * Describe remapped pixels for a progress message
+     * @param {Array} remapped - Entries from summarizeRemap()
+     * @returns {string} - e.g. " 1,234 anti-aliasing pixels remapped.", or '' if none
+     */
+    describeRemap(remapped) {
+        const total = remapped.reduce((sum, entry) => sum + entry.pixels, 0);
+        return total > 0 ? ` ${total.toLocaleString()} anti-aliasing pixels remapped.` : '';
+    }
 
-            // Source document and output name provided by caller
-            const sourceDocument = options.sourceDocument;
-            const outputName = options.outputName;
+    /**
+     * Calculate the trap width of each plate
+     * Follows the trap curve from maxTrap (first printed) to minTrap (last
+     * printed), or takes the explicit trap list as is.
+     * @param {Array} sortedColors - Plate colors, first printed first
+     * @param {Object} context - {trapSizes, trapCurve, trapList} from prepareRun()
+     * @returns {Array} - Trap width in inches per plate
+     * @throws {Error} - If the trap list does not have one entry per plate
+     */
+    calculatePlateTraps(sortedColors, context) {
+        const { trapSizes, trapCurve, trapList } = context;
 
-            if (!sourceDocument) {
-                throw new Error('No source document provided');
+        if (trapList) {
+            if (trapList.length !== sortedColors.length) {
+                throw new Error(`Trap list has ${trapList.length} size(s) but there are ${sortedColors.length} plates. Give one size per plate, first printed first.`);
             }
+            return trapList;
+        }
 
-            // At this point, document should have exactly 1 unlocked layer
-            // (validated in checkDocumentValidity before dialog was shown)
-            console.log(`Processing document: "${sourceDocument.title}"`);
-            console.log(`Document has ${sourceDocument.layers.length} layer(s)`);
+        const densities = trapCurve === 'density'
+            ? sortedColors.map(c => ColorUtils.neutralDensity(c.r, c.g, c.b))
+            : null;
+
+        return sortedColors.map((color, i) => TrapSizeParser.calculateLayerTrap(
+            i,
+            sortedColors.length,
+            trapSizes.min,
+            trapSizes.max,
+            trapCurve,
+            densities
+        ));
+    }
 
-            // Report progress
-            if (options.onProgress) {
-                options.onProgress(5, 'Analyzing document...');
-            }
+    /**
+     * Create plates for colors in print order
+     * Without a trap matrix, each color spreads under every later color by
+     * its own width from trapWidths. With one, each pair gets its own width
+     * and direction from the matrix. The trap type then decides which plate
+     * of a pair grows by that width (TrappingEngine.getTrapGrowth()).
+     * @param {Array} sortedColors - Plate colors, first printed first
+     * @param {Array} trapWidths - Trap width in inches per plate, from calculatePlateTraps()
+     * @param {number} resolution - Document resolution in DPI
+     * @param {TrapMatrix|null} trapMatrix - Matrix covering every pair of sortedColors
+     * @returns {Array} - Plates {index, color, trapInches, trapPixels, coveringRadii}; trapInches and trapPixels are the widest trap
+     */
+    createPlates(sortedColors, trapWidths, resolution, trapMatrix = null) {
+        const trapType = this.engine.trapType;
+
+        return sortedColors.map((color, i) => {
+            // Trap width in pixels per covering label (0 = may not spread there)
+            const coveringRadii = new Float32Array(TrappingEngine.NO_LABEL + 1);
+            let trapInches = 0;
+            let trapPixels = 0;
+
+            if (trapMatrix) {
+                sortedColors.forEach((other, j) => {
+                    if (j !== i) {
+                        const growth = this.engine.getTrapGrowth(trapMatrix.getSpread(color, other), trapMatrix.getSpread(other, color));
+                        coveringRadii[j] = TrapSizeParser.inchesToPixels(growth, resolution);
+                        trapInches = Math.max(trapInches, growth);
+                        trapPixels = Math.max(trapPixels, coveringRadii[j]);
+                    }
+                });
 
-            const document = sourceDocument;
+                console.log(`Plate ${i + 1}: RGB(${color.r},${color.g},${color.b}) (${this.engine.describeLightness(color)}), matrix ${trapType} traps [${Array.from(coveringRadii.subarray(0, sortedColors.length)).join(', ')}]px`);
+            } else if (trapType === 'spread') {
+                trapInches = trapWidths[i];
+                trapPixels = TrapSizeParser.inchesToPixels(trapInches, resolution);
 
-            // Get document properties
-            const docInfo = await this.psApi.getDocumentInfo(document);
-            console.log('Document info:', docInfo);
-
-            // Validate document
-            this.validateDocument(docInfo);
-
-            // Parse trap sizes
-            const trapSizes = TrapSizeParser.validateRange(
-                options.minTrap || '0',
-                options.maxTrap || '1/32'
-            );
-
-            // Convert to pixels based on DPI
-            const minTrapPixels = TrapSizeParser.inchesToPixels(trapSizes.min, docInfo.resolution);
-            const maxTrapPixels = TrapSizeParser.inchesToPixels(trapSizes.max, docInfo.resolution);
-
-            console.log(`Trap range: ${trapSizes.min}" to ${trapSizes.max}"`);
-            console.log(`Trap pixels: ${minTrapPixels}px to ${maxTrapPixels}px at ${docInfo.resolution} DPI`);
-
-            // Create trapping engine
-            this.engine = new TrappingEngine({
-                minTrap: trapSizes.min,
-                maxTrap: trapSizes.max,
-                dpi: docInfo.resolution,
-                mode: options.mode || 'offset'
-            });
+                // Colors may only spread under colors printed after them (later in sortedColors)
+                const coveringLabels = this.createCoveringLabelMask(i, sortedColors.length);
+                coveringLabels.forEach((covering, label) => {
+                    coveringRadii[label] = covering ? trapPixels : 0;
+                });
 
-            // Report progress
-            if (options.onProgress) {
-                options.onProgress(10, 'Analyzing colors...');
+                console.log(`Plate ${i + 1}: RGB(${color.r},${color.g},${color.b}) (${this.engine.describeLightness(color)}), trap ${trapPixels}px (${trapInches}")`);
+            } else {
+                // Each earlier color's width moves (in part) onto the later color growing over it
+                sortedColors.forEach((other, j) => {
+                    if (j !== i) {
+                        const growth = this.engine.getTrapGrowth(j > i ? trapWidths[i] : 0, j < i ? trapWidths[j] : 0);
+                        coveringRadii[j] = TrapSizeParser.inchesToPixels(growth, resolution);
+                        trapInches = Math.max(trapInches, growth);
+                        trapPixels = Math.max(trapPixels, coveringRadii[j]);
+                    }
+                });
+
+                console.log(`Plate ${i + 1}: RGB(${color.r},${color.g},${color.b}) (${this.engine.describeLightness(color)}), ${trapType} traps [${Array.from(coveringRadii.subarray(0, sortedColors.length)).join(', ')}]px`);
             }
 
-            // Get the single unlocked layer
-            const sourceLayer = document.layers.find(layer => !layer.locked);
-            if (!sourceLayer) {
-                throw new Error('No unlocked layer found (document structure changed?)');
+            return {
+                index: i,
+                color,
+                trapInches,
+                trapPixels,
+                coveringRadii
+            };
+        });
+    }
+
+    /**
+     * Radius per label for the fine type test
+     * A label is checked with the widest trap of a later plate growing over
+     * it, which only choke and centerline traps do.
+     * @param {Array} plates - Plates from createPlates()
+     * @returns {Float32Array|null} - Radius in pixels per label, or null if no plate grows over an earlier one
+     */
+    getFineTypeRadii(plates) {
+        const radii = new Float32Array(TrappingEngine.NO_LABEL + 1);
+        let any = false;
+
+        for (const plate of plates) {
+            for (let label = 0; label < plate.index; label++) {
+                if (plate.coveringRadii[label] > radii[label]) {
+                    radii[label] = plate.coveringRadii[label];
+                    any = true;
+                }
             }
+        }
 
-            console.log(`Source layer:`, {
-                name: sourceLayer.name,
-                id: sourceLayer.id,
-                kind: sourceLayer.kind,
-                typename: sourceLayer.typename
-            });
+        return any ? radii : null;
+    }
 
-            // Use getLayerPixelsFullDocument to ensure we get full document-sized pixel data
-            const flattenedData = await this.psApi.getLayerPixelsFullDocument(sourceLayer, document);
+    /**
+     * Trap every plate, one strip at a time
+     * Per strip, builds a shared label map (one byte per pixel, value = index
+     * into sortedColors) and traps every plate from it. Handlers receive the
+     * coverage of each plate; onPlate gets the strip's own rows as ownCoverage.
+     * @param {Object} run - Run context from prepareRun()
+     * @param {Object} options - Trapping options (onProgress, cancelToken)
+     * @param {Object} handlers - {onStripStart, onUnderbase, onPlate, onHighlight, onStripEnd} async callbacks
+     * @returns {Promise<void>}
+     */
+    async processStrips(run, options, handlers) {
+        if (run.inputMode === 'layers') {
+            return this.processLayerStrips(run, options, handlers);
+        }
 
-            // Count distinct colors
-            const colorAnalysis = this.engine.analyzeColors(flattenedData);
-            console.log(`Found ${colorAnalysis.colors.length} distinct colors (before filtering)`);
+        const { document, strips, sortedColors, plates } = run;
+        const [sourceLayer] = run.sourceLayers;
+        const width = run.docInfo.width;
+        const fineTypeRadii = this.getFineTypeRadii(plates);
 
-            // Log all colors found with pixel counts
-            colorAnalysis.colors.forEach(c => {
-                console.log(`  Color RGB(${c.r},${c.g},${c.b}): ${c.count} pixels`);
-            });
+        for (let s = 0; s < strips.length; s++) {
+            const strip = strips[s];
+            await this.checkpoint(options.cancelToken);
+            const stripData = run.cachedStripData || await this.readStrip(sourceLayer, document, strip, true);
+            run.cachedStripData = null;
 
-            // Filter out colors with very few pixels (likely anti-aliasing artifacts from smart objects)
-            // Minimum threshold: 0.01% of total pixels (e.g., 100 pixels in a 1000x1000 image)
-            const minPixelThreshold = Math.max(100, Math.round(colorAnalysis.totalPixels * 0.0001));
-            const significantColors = colorAnalysis.colors.filter(c => c.count >= minPixelThreshold);
+            const stripHeight = strip.readBottom - strip.readTop;
+            const labels = this.engine.createLabelMap(stripData, sortedColors, run.colorRemap);
+            console.log(`Strip ${s + 1}/${strips.length}: rows ${strip.top}-${strip.bottom}, label map ${width}x${stripHeight}`);
 
-            console.log(`After filtering (min ${minPixelThreshold} pixels): ${significantColors.length} distinct colors`);
-            significantColors.forEach(c => {
-                console.log(`  Color RGB(${c.r},${c.g},${c.b}): ${c.count} pixels`);
-            });
+            // Choke and centerline traps do not grow over fine type of earlier plates
+            const fineFeatures = fineTypeRadii ? this.engine.createFineFeatureMask(labels, width, stripHeight, fineTypeRadii) : null;
 
-            if (significantColors.length > 10) {
-                throw new Error(`Document has ${significantColors.length} distinct colors (after filtering anti-aliasing), exceeds maximum of 10`);
-            }
+            // Rows of this strip's own output within the read region
+            const ownStart = (strip.top - strip.readTop) * width;
+            const ownEnd = (strip.bottom - strip.readTop) * width;
+            const targetBounds = { top: strip.top, left: 0, bottom: strip.bottom, right: width };
+            const stripContext = { strip, labels, ownStart, ownEnd, targetBounds };
 
-            if (significantColors.length === 0) {
-                throw new Error('No significant colors found in document');
+            if (handlers.onStripStart) {
+                await handlers.onStripStart(stripContext);
             }
 
-            // Sort colors by lightness FIRST (lightest to darkest)
-            // We create layers in this order, and since new layers go on TOP,
-            // the final stack will be: lightest on bottom, darkest on top (correct for printing)
-            const sortedColors = significantColors.sort((a, b) => b.lightness - a.lightness);
-            console.log('Colors sorted lightest to darkest (creation order):', sortedColors.map(c => `RGB(${c.r},${c.g},${c.b}) L=${Math.round(c.lightness)}`));
-
-            // Create one layer per color by manually extracting pixels using imaging API
-            // Create in sorted order (lightest first) so they stack correctly
-            // Since new layers go on top, this results in: lightest on bottom, darkest on top
-            const colorLayers = [];
+            // The underbase prints first: every plate pixel except the garment color, choked;
+            // its coverage is the ink amount (0-255), so a tonal underbase stays grayscale
+            if (run.underbase && handlers.onUnderbase) {
+                await this.checkpoint(options.cancelToken);
+                const underbaseData = this.engine.generateUnderbase(stripData, {
+                    garmentColor: run.underbase.garmentColor,
+                    garmentTolerance: run.underbase.garmentTolerance,
+                    chokePixels: run.underbase.chokePixels,
+                    labels,
+                    densities: run.underbase.densities
+                });
+                const ownImage = this.engine.createImageData(width, strip.bottom - strip.top, underbaseData.data.slice(ownStart * 4, ownEnd * 4));
+                const ownCoverage = new Uint8Array(ownEnd - ownStart);
+                for (let i = 0; i < ownCoverage.length; i++) {
+                    ownCoverage[i] = ownImage.data[i * 4 + 3];
+                }
 
-            // We already have the flattened pixel data in flattenedData
-            console.log(`Using flattened pixel data: ${flattenedData.width}x${flattenedData.height}`);
+                await handlers.onUnderbase({ ...stripContext, underbase: run.underbase, ownImage, ownCoverage });
+            }
 
-            for (let i = 0; i < sortedColors.length; i++) {
-                const color = sortedColors[i];
-                const progress = 25 + (i / sortedColors.length) * 30;
+            for (const plate of plates) {
+                const { color } = plate;
                 const colorStr = `RGB(${color.r},${color.g},${color.b})`;
+                const progress = 30 + ((s * plates.length + plate.index) / (strips.length * plates.length)) * 65;
 
                 if (options.onProgress) {
-                    options.onProgress(progress, `Separating color ${i + 1}/${sortedColors.length}: ${colorStr}`);
+                    const stripNote = strips.length > 1 ? ` (strip ${s + 1}/${strips.length})` : '';
+                    options.onProgress(progress, `Trapping color ${plate.index + 1}/${plates.length}: ${colorStr}${stripNote}`);
                 }
 
-                console.log(`Creating layer ${i + 1}/${sortedColors.length} for color ${colorStr} (lightness: ${Math.round(color.lightness)})`);
-
-                // Extract only pixels of this color from the flattened data
-                const colorPixels = this.extractSingleColor(flattenedData, color);
-                console.log(`Extracted ${colorPixels.width}x${colorPixels.height} pixels for ${colorStr}`);
+                await this.checkpoint(options.cancelToken);
+                const coverage = this.engine.trapLabelPlateByRadius(labels, width, stripHeight, plate.index, plate.coveringRadii, fineFeatures);
 
-                // Create a new empty layer
-                const layer = await this.psApi.createLayer(document, `Color - ${colorStr}`);
-                console.log(`Created empty layer: "${layer.name}" (id: ${layer.id})`);
-
-                // Write the color-specific pixels to the layer
-                await this.psApi.setLayerPixels(layer, colorPixels);
-                console.log(`Wrote pixels to layer "${layer.name}"`);
+                await handlers.onPlate({
+                    ...stripContext,
+                    plate,
+                    coverage,
+                    ownCoverage: coverage.subarray(ownStart, ownEnd)
+                });
+            }
 
-                // Store layer info AND the full document-sized pixel data for trapping
-                // (in creation order, which is lightest to darkest)
-                colorLayers.push({
-                    layer,
-                    color,
-                    lightness: color.lightness,
-                    pixelData: colorPixels  // Store for trapping calculations
+            // The highlight white prints last, over every plate; its labels come after the plates'
+            if (run.highlight && handlers.onHighlight) {
+                await this.checkpoint(options.cancelToken);
+                const highlightLabels = new Uint8Array(TrappingEngine.NO_LABEL + 1);
+                for (let label = plates.length; label < sortedColors.length; label++) {
+                    highlightLabels[label] = 1;
+                }
+                const widthPixels = run.highlight.widthPixels;
+                const coverage = this.engine.trapHighlightPlate(labels, width, stripHeight, highlightLabels, {
+                    spreadPixels: run.highlight.adjust === 'spread' ? widthPixels : 0,
+                    chokePixels: run.highlight.adjust === 'choke' ? widthPixels : 0
                 });
+
+                await handlers.onHighlight({ ...stripContext, highlight: run.highlight, coverage, ownCoverage: coverage.subarray(ownStart, ownEnd) });
             }
 
-            // Delete the source layer since we have all colors separated
-            const sourceLayerToDelete = document.layers.find(l => l.id === sourceLayer.id);
-            if (sourceLayerToDelete) {
-                console.log(`Deleting source layer "${sourceLayerToDelete.name}" (id: ${sourceLayer.id})`);
-                await sourceLayerToDelete.delete();
-            } else {
-                console.warn(`Could not find source layer with id ${sourceLayer.id} to delete`);
+            if (handlers.onStripEnd) {
+                await handlers.onStripEnd(stripContext);
             }
+        }
+    }
 
-            // The source document (now modified in place) contains the separated/trapped layers
-            const separatedDocument = document;
+    /**
+     * Trap pre-separated layer plates, one strip at a time
+     * Each plate keeps its layer's own pixel colors and spreads (dilation by
+     * the width of each covering plate) under the plates stacked above it. onPlate also gets
+     * ownImage (trapped RGBA rows) and ownOriginal (the layer's own coverage).
+     * @param {Object} run - Run context from prepareRun()
+     * @param {Object} options - Trapping options (onProgress, cancelToken)
+     * @param {Object} handlers - {onStripStart, onPlate, onStripEnd} async callbacks
+     * @returns {Promise<void>}
+     */
+    async processLayerStrips(run, options, handlers) {
+        const { document, strips, plates } = run;
+        const width = run.docInfo.width;
+        const fineTypeRadii = this.getFineTypeRadii(plates);
+
+        for (let s = 0; s < strips.length; s++) {
+            const strip = strips[s];
+            const stripHeight = strip.readBottom - strip.readTop;
+            const ownRows = strip.bottom - strip.top;
+
+            const layerImages = [];
+            for (const plate of plates) {
+                await this.checkpoint(options.cancelToken);
+                layerImages.push(await this.readStrip(plate.sourceLayer, document, strip, true));
+            }
 
-            // No need to sort or reorder - layers were created in correct order already
-            // colorLayers is already sorted lightest to darkest (creation order)
-            console.log('Layers created in order (lightest to darkest):', colorLayers.map(cl => `RGB(${cl.color.r},${cl.color.g},${cl.color.b}) L=${Math.round(cl.lightness)}`));
+            const labels = this.engine.createStackLabelMap(layerImages);
+            console.log(`Strip ${s + 1}/${strips.length}: rows ${strip.top}-${strip.bottom}, ${plates.length} layer plates`);
+            const fineFeatures = fineTypeRadii ? this.engine.createFineFeatureMask(labels, width, stripHeight, fineTypeRadii) : null;
 
-            // Verify final layer order
-            console.log('Verifying layer stack (Photoshop order, index 0 = top):');
-            console.log('Expected: Darkest on top [0], Lightest on bottom [last]');
-            for (let i = 0; i < document.layers.length; i++) {
-                console.log(`  [${i}] ${document.layers[i].name}`);
-            }
+            const ownStart = (strip.top - strip.readTop) * width;
+            const ownEnd = (strip.bottom - strip.readTop) * width;
+            const targetBounds = { top: strip.top, left: 0, bottom: strip.bottom, right: width };
+            const stripContext = { strip, labels, ownStart, ownEnd, targetBounds };
 
-            // Report progress
-            if (options.onProgress) {
-                options.onProgress(65, 'Applying trapping to separated layers...');
+            if (handlers.onStripStart) {
+                await handlers.onStripStart(stripContext);
             }
 
-            // Now apply trapping to each layer (lightest layers get most trap)
-            for (let i = 0; i < colorLayers.length; i++) {
-                const progress = 65 + (i / colorLayers.length) * 30;
-                const { layer, color } = colorLayers[i];
-                const colorStr = `RGB(${color.r},${color.g},${color.b})`;
+            for (const plate of plates) {
+                const progress = 30 + ((s * plates.length + plate.index) / (strips.length * plates.length)) * 65;
 
                 if (options.onProgress) {
-                    options.onProgress(progress, `Trapping layer ${i + 1}/${colorLayers.length}: ${colorStr}`);
+                    const stripNote = strips.length > 1 ? ` (strip ${s + 1}/${strips.length})` : '';
+                    options.onProgress(progress, `Trapping layer ${plate.index + 1}/${plates.length}: ${plate.sourceLayer.name}${stripNote}`);
                 }
 
-                // Calculate trap size for this layer
-                const trapInches = TrapSizeParser.calculateLayerTrap(
-                    i,
-                    colorLayers.length,
-                    trapSizes.min,
-                    trapSizes.max
-                );
-                const trapPixels = TrapSizeParser.inchesToPixels(trapInches, docInfo.resolution);
-
-                console.log(`Layer ${i + 1}: trap ${trapPixels}px (${trapInches}")`);
+                await this.checkpoint(options.cancelToken);
+                const layerImage = layerImages[plate.index];
+                const trapped = this.engine.applyDilationByLabel(layerImage, labels, plate.coveringRadii, fineFeatures, plate.index);
 
-                // Update layer name to include trap size
-                layer.name = `${layer.name} - Trap ${trapPixels}px`;
+                // Copies, not views: the own rows are written to Photoshop on their own
+                const ownImage = this.engine.createImageData(width, ownRows, trapped.data.slice(ownStart * 4, ownEnd * 4));
+                const ownSource = this.engine.createImageData(width, ownRows, layerImage.data.slice(ownStart * 4, ownEnd * 4));
 
-                // Apply trapping if needed
-                if (trapPixels > 0) {
-                    console.log(`Applying trapping to layer ${i + 1}...`);
-                    await this.applyTrappingToLayer(separatedDocument, layer, trapPixels, i, colorLayers);
-                } else {
-                    console.log(`No trapping needed for layer ${i + 1} (trap size is 0px)`);
-                }
+                await handlers.onPlate({
+                    ...stripContext,
+                    plate,
+                    ownImage,
+                    ownCoverage: this.engine.getAlphaCoverage(ownImage),
+                    ownOriginal: this.engine.getAlphaCoverage(ownSource)
+                });
             }
 
-            // Delete the default background layer in separated document if it exists
-            if (separatedDocument.layers.length > 0) {
-                const bgLayer = separatedDocument.layers[separatedDocument.layers.length - 1];
-                if (bgLayer.isBackgroundLayer || bgLayer.name === 'Background') {
-                    try {
-                        await bgLayer.delete();
-                    } catch (e) {
-                        console.log('Could not delete background layer:', e.message);
-                    }
-                }
+            if (handlers.onStripEnd) {
+                await handlers.onStripEnd(stripContext);
             }
+        }
+    }
 
-            // Report progress
-            if (options.onProgress) {
-                options.onProgress(100, 'Complete! Color separated and trapped document created.');
-            }
+    /**
+     * Find artwork kept by a previous keepOriginal run
+     * @param {Document} document - Photoshop document
+     * @returns {Object|null} - {originalGroup, originalLayers, separationsGroup}, or null if not found
+     */
+    findPreservedOriginal(document) {
+        const originalGroup = document.layers.find(layer => layer.kind === 'group' && layer.name === ORIGINAL_GROUP_NAME);
+        if (!originalGroup || !originalGroup.layers || originalGroup.layers.length === 0) {
+            return null;
+        }
 
-            // Make absolutely sure the separated document is active
-            const finalActiveDoc = await this.psApi.getActiveDocument();
-            console.log(`Final active document: "${finalActiveDoc.title}" (id: ${finalActiveDoc.id}), layers: ${finalActiveDoc.layers.length}`);
+        const separationsGroup = document.layers.find(layer => layer.kind === 'group' && layer.name === SEPARATIONS_GROUP_NAME);
 
-            if (finalActiveDoc.id !== separatedDocument.id) {
-                console.warn(`Active document switched! Expected ${separatedDocument.id}, got ${finalActiveDoc.id}`);
-                // Switch back to the separated document
-                await this.psApi.makeDocumentActive(separatedDocument);
-                console.log('Switched back to separated document');
-            }
+        return {
+            originalGroup,
+            originalLayers: Array.from(originalGroup.layers),
+            separationsGroup: separationsGroup || null
+        };
+    }
 
-            console.log('Trapping complete!');
+    /**
+     * Find layers to use as plates in 'layers' input mode
+     * Visible, unlocked pixel layers at the top level, or the layers kept in
+     * the (locked) "Original Art" group on a re-run.
+     * @param {Document} document - Photoshop document
+     * @param {Object|null} preserved - Result of findPreservedOriginal()
+     * @returns {Array} - Plate layers, top of the stack first
+     */
+    findPlateLayers(document, preserved = null) {
+        if (preserved) {
+            return preserved.originalLayers.filter(layer => layer.kind === 'pixel' && layer.visible);
+        }
 
-            // Return the trapped document (original, now modified)
-            // The backup document (with " copy" suffix) preserves the original state
-            // Workflow: Copy (backup) → Modify Original (flatten, separate, trap)
-            return {
-                documentId: separatedDocument.id,
-                documentTitle: separatedDocument.title
-            };
+        return document.layers.filter(layer => layer.kind === 'pixel' && layer.visible && !layer.locked);
+    }
 
-        } finally {
-            this.isProcessing = false;
+    /**
+     * Create the "Separations" group at the top of the document
+     * Separations from a previous keepOriginal run are deleted first.
+     * @param {Document} document - Photoshop document
+     * @param {Layer} sourceLayer - Source artwork layer
+     * @param {Object|null} preserved - Result of findPreservedOriginal()
+     * @returns {Promise<LayerGroup>} - The new, empty group
+     */
+    async createSeparationsGroup(document, sourceLayer, preserved) {
+        if (preserved && preserved.separationsGroup) {
+            console.log(`Replacing previous "${SEPARATIONS_GROUP_NAME}" group (id: ${preserved.separationsGroup.id})`);
+            await preserved.separationsGroup.delete();
+        }
+
+        // New groups go above the active layer; never create inside the locked original group
+        await this.psApi.makeLayerActive(preserved ? preserved.originalGroup : sourceLayer);
+        const group = await this.psApi.createLayerGroup(document, SEPARATIONS_GROUP_NAME);
+
+        if (document.layers[0].id !== group.id) {
+            await this.psApi.moveLayer(group, document.layers[0], 'placeBefore');
+        }
+
+        console.log(`Created "${SEPARATIONS_GROUP_NAME}" group (id: ${group.id})`);
+        return group;
+    }
+
+    /**
+     * Move the source layers into a hidden, locked "Original Art" group
+     * The group sits below the separations, so toggling its visibility
+     * switches between artwork and separations.
+     * @param {Document} document - Photoshop document
+     * @param {Array} sourceLayers - Source artwork layers, top of the stack first
+     * @param {LayerGroup} separationsGroup - Group holding the trapped plates
+     * @returns {Promise<LayerGroup>} - The "Original Art" group
+     */
+    async preserveOriginal(document, sourceLayers, separationsGroup) {
+        await this.psApi.makeLayerActive(sourceLayers[0]);
+        const group = await this.psApi.createLayerGroup(document, ORIGINAL_GROUP_NAME);
+
+        // Bottom layer first: each move places the layer at the top of the group
+        for (const layer of [...sourceLayers].reverse()) {
+            await this.psApi.moveLayer(layer, group, 'placeInside');
+        }
+        await this.psApi.moveLayer(group, separationsGroup, 'placeAfter');
+        await this.psApi.setLayerVisibility(group, false);
+        await this.psApi.setLayerLocked(group, true);
+
+        console.log(`Kept ${sourceLayers.length} source layer(s) in hidden, locked "${ORIGINAL_GROUP_NAME}" group (id: ${group.id})`);
+        return group;
+    }
+
+    /**
+     * Make a name unique by numbering it
+     * @param {string} baseName - Wanted name
+     * @param {Array} usedNames - Names already taken
+     * @returns {string} - baseName, or "baseName 2", "baseName 3"... if taken
+     */
+    createUniqueName(baseName, usedNames) {
+        let name = baseName;
+        for (let n = 2; usedNames.includes(name); n++) {
+            name = `${baseName} ${n}`;
         }
+        return name;
     }
 
     /**
@@ -412,46 +2023,40 @@ class TrapperController {
         }
 
         if (docInfo.width > 10000 || docInfo.height > 10000) {
-            console.warn('Warning: Large document may take time to process');
+            console.warn('Warning: Large document will be processed in strips and may take time');
         }
     }
 
     /**
-     * Extract only pixels of a single color from flattened image
-     * @param {ImageData} sourceData - Flattened image data
-     * @param {Object} color - Target color
-     * @returns {ImageData} - Layer data with only this color
+     * Yield to the event loop so a Cancel click can be handled, then stop if cancelled
+     * @param {CancellationToken} cancelToken - Token for this run (optional)
+     * @throws {CancellationError} - If the run was cancelled
      */
-    extractSingleColor(sourceData, color) {
-        const width = sourceData.width;
-        const height = sourceData.height;
-
-        const layerData = {
-            width: width,
-            height: height,
-            data: new Uint8ClampedArray(width * height * 4)
-        };
-
-        // Extract only pixels matching this color
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const idx = (y * width + x) * 4;
-                const r = sourceData.data[idx];
-                const g = sourceData.data[idx + 1];
-                const b = sourceData.data[idx + 2];
-                const a = sourceData.data[idx + 3];
-
-                // Check if pixel matches target color
-                if (a > 0 && r === color.r && g === color.g && b === color.b) {
-                    layerData.data[idx] = r;
-                    layerData.data[idx + 1] = g;
-                    layerData.data[idx + 2] = b;
-                    layerData.data[idx + 3] = 255; // Full opacity
-                }
-            }
+    async checkpoint(cancelToken) {
+        if (!cancelToken) {
+            return;
         }
 
-        return layerData;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        cancelToken.throwIfCancelled();
+    }
+
+    /**
+     * Read the pixels of one strip from the source layer
+     * @param {Layer} layer - Source layer
+     * @param {Document} document - Parent document
+     * @param {Object} strip - Strip from StripPlanner.planStrips()
+     * @param {boolean} withOverlap - True to include the overlap rows (trapping),
+     *                                false for the strip's own rows only (analysis)
+     * @returns {Promise<Object>} - Pixel data in ImageData-like format
+     */
+    async readStrip(layer, document, strip, withOverlap) {
+        return this.psApi.getLayerPixelsInBounds(layer, document, {
+            top: withOverlap ? strip.readTop : strip.top,
+            left: 0,
+            bottom: withOverlap ? strip.readBottom : strip.bottom,
+            right: document.width
+        });
     }
 
     /**
@@ -504,84 +2109,20 @@ class TrapperController {
     }
 
     /**
-     * Apply trapping to a layer
-     * @param {Document} document - Photoshop document
-     * @param {Layer} layer - Layer to trap
-     * @param {number} trapPixels - Trap size in pixels
-     * @param {number} layerIndex - Index of this layer in sorted order
-     * @param {Array} colorLayers - All color layers with metadata (includes pixelData)
+     * Create a per-label mask of the colors a layer may spread under
+     * @param {number} currentIndex - Index of current color in print order
+     * @param {number} colorCount - Total number of colors
+     * @returns {Uint8Array} - 1 for every label printed after the current one (indexed by label)
      */
-    async applyTrappingToLayer(document, layer, trapPixels, layerIndex, colorLayers) {
-        console.log(`Applying ${trapPixels}px trap to layer "${layer.name}"`);
-
-        // Get the full document-sized pixel data for this layer
-        const currentPixelData = colorLayers[layerIndex].pixelData;
-        console.log(`Using stored pixel data: ${currentPixelData.width}x${currentPixelData.height}`);
+    createCoveringLabelMask(currentIndex, colorCount) {
+        const mask = new Uint8Array(256);
 
-        // Create mask of areas covered by darker colors
-        const darkerMask = await this.createDarkerColorMaskFromLayers(
-            document,
-            layerIndex,
-            colorLayers
-        );
-
-        // Apply dilation with mask on full document-sized data
-        const trappedPixels = this.engine.applyDilationWithMask(
-            currentPixelData,
-            trapPixels,
-            darkerMask
-        );
-
-        console.log(`Trapped pixels: ${trappedPixels.width}x${trappedPixels.height}`);
-
-        // Write trapped pixels back to layer at document origin (0,0)
-        // This will replace the entire layer with the trapped version
-        await this.psApi.setLayerPixels(layer, trappedPixels);
-    }
-
-    /**
-     * Create a mask showing areas that will be covered by darker colors
-     * @param {Document} document - Photoshop document
-     * @param {number} currentIndex - Index of current layer in colorLayers array
-     * @param {Array} colorLayers - All color layers with metadata (sorted lightest to darkest)
-     * @returns {ImageData} - Binary mask where opaque pixels = areas covered by darker colors
-     */
-    async createDarkerColorMaskFromLayers(document, currentIndex, colorLayers) {
-        const width = document.width;
-        const height = document.height;
-        const maskData = new Uint8ClampedArray(width * height * 4);
-
-        console.log(`Creating darker mask for layer ${currentIndex + 1}/${colorLayers.length}`);
-
-        // Combine all DARKER layers (higher lightness values = darker, later in array)
-        // Current layer is at index currentIndex, so darker layers are at indices > currentIndex
-        for (let i = currentIndex + 1; i < colorLayers.length; i++) {
-            const darkerLayer = colorLayers[i];
-            const darkerPixels = darkerLayer.pixelData;
-
-            console.log(`  Adding darker layer ${i + 1} (${darkerLayer.color.r},${darkerLayer.color.g},${darkerLayer.color.b}) to mask`);
-
-            // Add all opaque pixels from this darker layer to the mask
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const idx = (y * width + x) * 4;
-
-                    // If this darker layer has a pixel here, mark it in the mask
-                    if (darkerPixels.data[idx + 3] > 0) {
-                        maskData[idx] = 255;     // Red (not used, but set for consistency)
-                        maskData[idx + 1] = 255; // Green (not used)
-                        maskData[idx + 2] = 255; // Blue (not used)
-                        maskData[idx + 3] = 255; // Alpha = opaque means "blocked by darker color"
-                    }
-                }
-            }
+        // Later-printed colors (darker ones in lightness order) are later in the sorted array
+        for (let i = currentIndex + 1; i < colorCount; i++) {
+            mask[i] = 1;
         }
 
-        return {
-            width: width,
-            height: height,
-            data: maskData
-        };
+        return mask;
     }
 
     /**
@@ -666,5 +2207,10 @@ class TrapperController {
 
 }
 
+TrapperController.DEFAULT_MAX_COLORS = DEFAULT_MAX_COLORS;
+TrapperController.MAX_COLORS_LIMIT = TrappingEngine.NO_LABEL - 1;
+TrapperController.UNDERBASE_MODES = UNDERBASE_MODES;
+TrapperController.HIGHLIGHT_ADJUSTMENTS = HIGHLIGHT_ADJUSTMENTS;
+
 // Export for Node.js
 module.exports = TrapperController;
\ No newline at end of file
@@ -4,12 +4,66 @@
  * Ported from Java implementation
  */
 
+const ColorUtils = require('../utils/ColorUtils');
+
+// Label map value for pixels that belong to no plate (transparent or unmatched)
+const NO_LABEL = 255;
+
+// Flat pixel loops check for cancellation once per chunk of this many pixels
+const CANCEL_CHECK_MASK = (1 << 16) - 1;
+
+// Models for ordering colors light to dark (which color spreads under which)
+const LIGHTNESS_MODELS = ['lab', 'density', 'luma'];
+
+// Metrics for matching anti-aliasing colors to the nearest plate color
+const DISTANCE_METRICS = ['deltaE2000', 'rgb'];
+
+// Where the overlap of a trapped pair goes: the lighter color spreads under
+// the darker, the darker chokes over the lighter, or half of each (centerline)
+const TRAP_TYPES = ['spread', 'choke', 'centerline'];
+
+// How the substrate (paper) color is detected when it is not picked
+const SUBSTRATE_DETECTIONS = ['border', 'mostCommon'];
+
+// Largest difference per RGB channel at which a pixel still counts as the garment color
+const DEFAULT_GARMENT_TOLERANCE = 10;
+
+// Tonal underbase: share of full chroma (C*) that a saturated ink needs as
+// white under it, and the chroma from which that share is reached
+const UNDERBASE_CHROMA_WEIGHT = 0.6;
+const UNDERBASE_FULL_CHROMA = 80;
+
 class TrappingEngine {
     constructor(options = {}) {
         this.minTrap = options.minTrap || 0;
         this.maxTrap = options.maxTrap || 0.03125; // 1/32"
         this.dpi = options.dpi || 300;
         this.mode = options.mode || 'offset';
+        // 'round' = Euclidean disc (same trap width in every direction)
+        // 'diamond' = legacy 4-connected dilation (shorter traps on diagonals)
+        this.trapShape = options.trapShape || 'round';
+        this.trapType = options.trapType || 'spread';
+        if (!TRAP_TYPES.includes(this.trapType)) {
+            throw new Error(`Unknown trap type "${this.trapType}". Expected one of: ${TRAP_TYPES.join(', ')}`);
+        }
+        // 'lab' = CIE L* from sRGB, 'density' = ink density,
+        // 'luma' = legacy Rec.601 luma (misorders some saturated colors)
+        this.lightnessModel = options.lightnessModel || 'lab';
+        if (!LIGHTNESS_MODELS.includes(this.lightnessModel)) {
+            throw new Error(`Unknown lightness model "${this.lightnessModel}". Expected one of: ${LIGHTNESS_MODELS.join(', ')}`);
+        }
+        // Optional CancellationToken, checked between chunks of work
+        this.cancelToken = options.cancelToken || null;
+    }
+
+    /**
+     * Throw a CancellationError if the run was cancelled
+     * Called between chunks of work inside the pixel loops
+     */
+    checkCancelled() {
+        if (this.cancelToken) {
+            this.cancelToken.throwIfCancelled();
+        }
     }
 
     /**
@@ -33,11 +87,23 @@ class TrappingEngine {
      * @returns {Object} - Color analysis results
      */
     analyzeColors(imageData) {
-        const colorMap = new Map();
+        const colorMap = this.accumulateColors(imageData, new Map());
+        return this.summarizeColors(colorMap, imageData.width * imageData.height);
+    }
+
+    /**
+     * Count colors of one image region into a shared color map
+     * Lets strip-based processing analyze a document one strip at a time
+     * @param {ImageData} imageData - Image data (whole document or one strip)
+     * @param {Map} colorMap - Map of "r,g,b" -> color object, updated in place
+     * @returns {Map} - The same color map
+     */
+    accumulateColors(imageData, colorMap) {
         const { data, width, height } = imageData;
 
         // Count each unique color
         for (let y = 0; y < height; y++) {
+            this.checkCancelled();
             for (let x = 0; x < width; x++) {
                 const idx = (y * width + x) * 4;
                 const r = data[idx];
@@ -63,28 +129,707 @@ class TrappingEngine {
             }
         }
 
+        return colorMap;
+    }
+
+    /**
+     * Count the colors of the document border into a shared color map
+     * Counts the left and right column of every row, plus the whole first
+     * and last row when the region touches the top or bottom of the document.
+     * @param {ImageData} imageData - Image data (whole document or one strip)
+     * @param {Map} colorMap - Map of "r,g,b" -> {r, g, b, count}, updated in place
+     * @param {Object} edges - {top, bottom}: whether the region's first/last row is the document's
+     * @returns {Map} - The same color map
+     */
+    accumulateBorderColors(imageData, colorMap, edges = { top: true, bottom: true }) {
+        const { data, width, height } = imageData;
+
+        const count = (x, y) => {
+            const idx = (y * width + x) * 4;
+
+            // Ignore transparent pixels
+            if (data[idx + 3] === 0) return;
+
+            const key = `${data[idx]},${data[idx + 1]},${data[idx + 2]}`;
+            if (colorMap.has(key)) {
+                colorMap.get(key).count++;
+            } else {
+                colorMap.set(key, { r: data[idx], g: data[idx + 1], b: data[idx + 2], count: 1 });
+            }
+        };
+
+        for (let y = 0; y < height; y++) {
+            const fullRow = (edges.top && y === 0) || (edges.bottom && y === height - 1);
+            if (fullRow) {
+                for (let x = 0; x < width; x++) count(x, y);
+            } else {
+                count(0, y);
+                if (width > 1) count(width - 1, y);
+            }
+        }
+
+        return colorMap;
+    }
+
+    /**
+     * Find the substrate (paper) color among the plate colors
+     * @param {Array} colors - Plate colors or clusters {r, g, b, count}
+     * @param {string|Object} substrate - 'border', 'mostCommon', or the color (hex or {r, g, b})
+     * @param {Map|null} borderColors - Map from accumulateBorderColors(), for 'border'
+     * @returns {Object|null} - The substrate entry of colors, or null if it is not one of them
+     */
+    findSubstrate(colors, substrate, borderColors = null) {
+        if (colors.length === 0) {
+            return null;
+        }
+
+        if (substrate === 'mostCommon') {
+            return colors.reduce((best, c) => (c.count > best.count ? c : best));
+        }
+
+        let target = substrate;
+        if (substrate === 'border') {
+            const border = borderColors ? Array.from(borderColors.values()) : [];
+            if (border.length === 0) {
+                console.warn('Document border is transparent, no substrate detected');
+                return null;
+            }
+            target = border.reduce((best, c) => (c.count > best.count ? c : best));
+        } else if (typeof substrate === 'string') {
+            target = ColorUtils.parseHex(substrate);
+        }
+
+        const match = colors.find(c => this.matchesColor(c, target));
+        if (!match) {
+            console.warn(`Substrate color ${ColorUtils.toHex(target)} is not a plate color, ignoring`);
+        }
+        return match || null;
+    }
+
+    /**
+     * Check whether a color is the target color
+     * A clustered color also matches any of its member colors.
+     * @param {Object} color - Color {r, g, b} or cluster {r, g, b, members}
+     * @param {Object} target - Color {r, g, b}
+     * @returns {boolean}
+     */
+    matchesColor(color, target) {
+        const isTarget = c => c.r === target.r && c.g === target.g && c.b === target.b;
+        return isTarget(color) || (!!color.members && color.members.some(isTarget));
+    }
+
+    /**
+     * Check whether a color is the garment color
+     * Compares the color itself (a cluster's representative), channel by
+     * channel, so shades of the shirt color from scans or compression count too.
+     * @param {Object} color - Color {r, g, b}
+     * @param {Object} garmentColor - Garment color {r, g, b}
+     * @param {number} tolerance - Largest difference per channel (0-255)
+     * @returns {boolean}
+     */
+    matchesGarment(color, garmentColor, tolerance = DEFAULT_GARMENT_TOLERANCE) {
+        return Math.abs(color.r - garmentColor.r) <= tolerance &&
+            Math.abs(color.g - garmentColor.g) <= tolerance &&
+            Math.abs(color.b - garmentColor.b) <= tolerance;
+    }
+
+    /**
+     * Turn an accumulated color map into analysis results
+     * @param {Map} colorMap - Map from accumulateColors()
+     * @param {number} totalPixels - Total pixels analyzed (including transparent)
+     * @returns {Object} - Color analysis results
+     */
+    summarizeColors(colorMap, totalPixels) {
         // Convert to array
         const colors = Array.from(colorMap.values());
 
         return {
             colors,
-            totalPixels: width * height,
+            totalPixels,
             uniqueColors: colors.length
         };
     }
 
     /**
-     * Calculate lightness using standard RGB to grayscale conversion
+     * Assign colors that are not plates (anti-aliasing) to the nearest plate color
+     * @param {Array} colors - Colors {r, g, b, count} to reassign
+     * @param {Array} palette - Plate colors {r, g, b}, in plate order
+     * @param {string} metric - 'deltaE2000' (perceptual) or 'rgb' (Euclidean)
+     * @returns {Object} - {remap: Map of packed 0xRRGGBB -> palette index, remappedPixels: pixel count per palette index}
+     */
+    remapColors(colors, palette, metric = 'deltaE2000') {
+        if (!DISTANCE_METRICS.includes(metric)) {
+            throw new Error(`Unknown distance metric "${metric}". Expected one of: ${DISTANCE_METRICS.join(', ')}`);
+        }
+
+        const toLab = c => ColorUtils.rgbToLab(c.r, c.g, c.b);
+        const paletteLab = palette.map(toLab);
+        const distance = metric === 'rgb'
+            ? (c, index) => {
+                const p = palette[index];
+                return (c.r - p.r) ** 2 + (c.g - p.g) ** 2 + (c.b - p.b) ** 2;
+            }
+            : (c, index, lab) => ColorUtils.deltaE2000(lab, paletteLab[index]);
+
+        const remap = new Map();
+        const remappedPixels = new Array(palette.length).fill(0);
+
+        colors.forEach((color, n) => {
+            if ((n & 0xff) === 0) this.checkCancelled();
+            const lab = metric === 'rgb' ? null : toLab(color);
+
+            let nearest = 0;
+            let nearestDistance = Infinity;
+            for (let index = 0; index < palette.length; index++) {
+                const d = distance(color, index, lab);
+                if (d < nearestDistance) {
+                    nearest = index;
+                    nearestDistance = d;
+                }
+            }
+
+            remap.set((color.r << 16) | (color.g << 8) | color.b, nearest);
+            remappedPixels[nearest] += color.count || 0;
+        });
+
+        return { remap, remappedPixels };
+    }
+
+    /**
+     * Build a palette-index label map (one byte per pixel)
+     * Each opaque pixel whose colour is in the palette gets that colour's index;
+     * colours in remap get the index it gives; transparent and other pixels get NO_LABEL.
+     * @param {ImageData} imageData - Flattened image data
+     * @param {Array} palette - Colour objects {r, g, b}, in plate order
+     * @param {Map} remap - Optional packed 0xRRGGBB -> palette index, from remapColors()
+     * @returns {Uint8Array} - Label per pixel
+     */
+    createLabelMap(imageData, palette, remap = null) {
+        if (palette.length >= NO_LABEL) {
+            throw new Error(`Label map supports at most ${NO_LABEL - 1} colors, got ${palette.length}`);
+        }
+
+        const { data, width, height } = imageData;
+        const pixelCount = width * height;
+        const labels = new Uint8Array(pixelCount).fill(NO_LABEL);
+
+        // Packed 0xRRGGBB -> palette index
+        const lookup = new Map(remap || []);
+        palette.forEach((color, index) => {
+            lookup.set((color.r << 16) | (color.g << 8) | color.b, index);
+        });
+
+        for (let i = 0; i < pixelCount; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            const idx = i * 4;
+
+            // Ignore transparent pixels
+            if (data[idx + 3] === 0) continue;
+
+            const label = lookup.get((data[idx] << 16) | (data[idx + 1] << 8) | data[idx + 2]);
+            if (label !== undefined) {
+                labels[i] = label;
+            }
+        }
+
+        return labels;
+    }
+
+    /**
+     * Trap one plate of a label map
+     * The plate spreads (round dilation) into pixels whose label is flagged in
+     * coveringLabels, i.e. plates printed over it; all other pixels are blocked.
+     * @param {Uint8Array} labels - Label map from createLabelMap()
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {number} plateIndex - Label of the plate to trap
+     * @param {number} radiusPixels - Trap width in pixels
+     * @param {Uint8Array} coveringLabels - 1 for each label this plate may spread under
+     * @returns {Uint8Array} - Plate coverage (1 = ink, 0 = none)
+     */
+    trapLabelPlate(labels, width, height, plateIndex, radiusPixels, coveringLabels) {
+        const coveringRadii = new Float32Array(NO_LABEL + 1);
+        for (let label = 0; label <= NO_LABEL; label++) {
+            coveringRadii[label] = coveringLabels[label] ? radiusPixels : 0;
+        }
+
+        return this.trapLabelPlateByRadius(labels, width, height, plateIndex, coveringRadii);
+    }
+
+    /**
+     * Trap one plate of a label map with a trap width per covering label
+     * A pixel is covered when its label's radius is positive and the plate
+     * lies within that radius, reached through covered pixels only, so each
+     * edge gets the width of the pair that meets there (trap matrix).
+     * @param {Uint8Array} labels - Label map from createLabelMap()
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {number} plateIndex - Label of the plate to trap
+     * @param {Float32Array} coveringRadii - Trap width in pixels per label (0 = blocked)
+     * @param {Uint8Array|null} fineFeatures - Optional mask from createFineFeatureMask(); fine features
+     *                                         of plates printed before this one are not covered
+     * @returns {Uint8Array} - Plate coverage (1 = ink, 0 = none)
+     */
+    trapLabelPlateByRadius(labels, width, height, plateIndex, coveringRadii, fineFeatures = null) {
+        const pixelCount = width * height;
+        const coverage = new Uint8Array(pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            if (labels[i] === plateIndex) {
+                coverage[i] = 1;
+            }
+        }
+
+        return this.spreadCoverageByRadius(labels, width, height, coverage, coveringRadii, fineFeatures, plateIndex);
+    }
+
+    /**
+     * Spread plate coverage with a trap width per covering label
+     * @param {Uint8Array} labels - Label map from createLabelMap()
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Uint8Array} coverage - Plate coverage (grown in place with trapShape 'round')
+     * @param {Float32Array} coveringRadii - Trap width in pixels per label (0 = blocked)
+     * @param {Uint8Array|null} fineFeatures - Optional fine feature mask, blocked for labels below plateIndex
+     * @param {number} plateIndex - Label of the plate (only used with fineFeatures)
+     * @returns {Uint8Array} - Spread coverage (1 = ink, 0 = none)
+     */
+    spreadCoverageByRadius(labels, width, height, coverage, coveringRadii, fineFeatures = null, plateIndex = 0) {
+        const pixelCount = width * height;
+        const maxRadius = this.getMaxRadius(coveringRadii);
+        if (maxRadius <= 0) {
+            return coverage;
+        }
+
+        if (this.trapShape === 'diamond') {
+            // One 1px step at a time, each into the labels whose width is not used up yet
+            let current = coverage;
+            for (let step = 1; step <= maxRadius; step++) {
+                current = this.dilateCoverageDiamond(labels, width, height, current, 1, this.getLabelsWithinRadius(coveringRadii, step), fineFeatures, plateIndex);
+            }
+            return current;
+        }
+
+        const getLimitSq = this.getLabelLimitSq(labels, coveringRadii, fineFeatures, plateIndex);
+        const nearest = this.propagateNearestSource(coverage, getLimitSq, width, height);
+
+        for (let i = 0; i < pixelCount; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            if (nearest[i] >= 0) {
+                coverage[i] = 1;
+            }
+        }
+
+        return coverage;
+    }
+
+    /**
+     * Squared trap width of a pixel from the width of its label
+     * @param {Uint8Array} labels - Label map
+     * @param {Float32Array} coveringRadii - Trap width in pixels per label (0 = blocked)
+     * @param {Uint8Array|null} fineFeatures - Optional fine feature mask, blocked for labels below plateIndex
+     * @param {number} plateIndex - Label of the plate (only used with fineFeatures)
+     * @returns {Function} - (pixelIndex) => squared trap width, for propagateNearestSource()
+     */
+    getLabelLimitSq(labels, coveringRadii, fineFeatures = null, plateIndex = 0) {
+        const radiusSq = coveringRadii.map(radius => radius * radius);
+
+        if (!fineFeatures) {
+            return i => radiusSq[labels[i]];
+        }
+        return i => (fineFeatures[i] && labels[i] < plateIndex ? 0 : radiusSq[labels[i]]);
+    }
+
+    /**
+     * Width one plate grows into a neighbor, by trap type
+     * Trap widths are given in spread direction (the earlier, lighter color
+     * under the later one); the trap type decides which plate carries the
+     * overlap: all of it (spread), none of it while the neighbor grows over
+     * this plate (choke), or half (centerline).
+     * @param {number} spreadWidth - Width this plate spreads under the neighbor
+     * @param {number} coveredWidth - Width the neighbor spreads under this plate
+     * @returns {number} - Width this plate grows into the neighbor (same unit)
+     */
+    getTrapGrowth(spreadWidth, coveredWidth) {
+        if (this.trapType === 'choke') {
+            return coveredWidth;
+        }
+        if (this.trapType === 'centerline') {
+            return (spreadWidth + coveredWidth) / 2;
+        }
+        return spreadWidth;
+    }
+
+    /**
+     * Farthest a spread of the given width looks from the pixels it fills
+     * A round spread follows allowed pixels that are each within the width of
+     * their source, so it can detour up to twice the width; a diamond path is
+     * at most the width long.
+     * @param {number} radiusPixels - Spread width in pixels
+     * @returns {number} - Distance in pixels
+     */
+    getSpreadReach(radiusPixels) {
+        return this.trapShape === 'diamond' ? radiusPixels : 2 * radiusPixels;
+    }
+
+    /**
+     * Rows of context plate traps need above and below a strip
+     * The spread reach, plus for choke and centerline traps the fine features
+     * of the plates grown over: an opening that looks twice the width away.
+     * With this overlap, strip seams match a whole-image run.
+     * @param {number} trapPixels - Widest trap in pixels
+     * @returns {number} - Overlap in pixels
+     */
+    getTrapOverlap(trapPixels) {
+        return this.getSpreadReach(trapPixels) + (this.trapType === 'spread' ? 0 : 2 * trapPixels);
+    }
+
+    /**
+     * Find fine features (thin type, hairlines) in a label map
+     * A pixel is fine when it lies in a part of its label thinner than about
+     * twice that label's radius: a morphological opening (erosion, then
+     * dilation back, both by distance transform) of the label removes it.
+     * Plates growing over an earlier plate skip these pixels, so a choke or
+     * centerline trap never fills in reversed type.
+     * @param {Uint8Array} labels - Label map
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Float32Array} radii - Radius in pixels per label (0 = not checked)
+     * @returns {Uint8Array|null} - 1 for fine pixels, or null if no label is checked or none is fine
+     */
+    createFineFeatureMask(labels, width, height, radii) {
+        const pixelCount = width * height;
+        let fine = null;
+
+        for (let label = 0; label < NO_LABEL; label++) {
+            const radius = radii[label];
+            if (!(radius > 0)) {
+                continue;
+            }
+
+            // Everything outside the label bounds its features
+            const outside = new Uint8Array(pixelCount);
+            let present = false;
+            for (let i = 0; i < pixelCount; i++) {
+                if (labels[i] === label) {
+                    present = true;
+                } else {
+                    outside[i] = 1;
+                }
+            }
+            if (!present) {
+                continue;
+            }
+
+            // Erode: keep pixels deeper than the radius inside the label
+            this.checkCancelled();
+            const radiusSq = radius * radius;
+            const depth = this.computeDistanceTransform(outside, width, height);
+            const core = new Uint8Array(pixelCount);
+            for (let i = 0; i < pixelCount; i++) {
+                core[i] = labels[i] === label && (depth.nearest[i] < 0 || depth.distanceSq[i] > radiusSq) ? 1 : 0;
+            }
+
+            // Dilate back: label pixels the eroded core does not reach are fine
+            const reach = this.computeDistanceTransform(core, width, height);
+            for (let i = 0; i < pixelCount; i++) {
+                if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+                if (labels[i] === label && !(reach.nearest[i] >= 0 && reach.distanceSq[i] <= radiusSq)) {
+                    fine = fine || new Uint8Array(pixelCount);
+                    fine[i] = 1;
+                }
+            }
+        }
+
+        return fine;
+    }
+
+    /**
+     * Shrink plate coverage by a distance (choke)
+     * Pixels closer than radiusPixels to uncovered pixels are removed, in the
+     * engine's trap shape. The image edge does not choke, so strips match a
+     * whole-image run.
+     * @param {Uint8Array} labels - Label map (only used for its size by the diamond shape)
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Uint8Array} coverage - Plate coverage
+     * @param {number} radiusPixels - Choke in pixels
+     * @returns {Uint8Array} - Choked coverage (1 = ink, 0 = none)
+     */
+    chokeCoverage(labels, width, height, coverage, radiusPixels) {
+        if (radiusPixels <= 0) {
+            return coverage;
+        }
+
+        const open = new Uint8Array(coverage.length);
+        for (let i = 0; i < coverage.length; i++) {
+            open[i] = coverage[i] ? 0 : 1;
+        }
+
+        let grownOpen;
+        if (this.trapShape === 'diamond') {
+            grownOpen = this.dilateCoverageDiamond(labels, width, height, open, radiusPixels, new Uint8Array(NO_LABEL + 1).fill(1));
+        } else {
+            const { distanceSq, nearest } = this.computeDistanceTransform(open, width, height);
+            grownOpen = new Uint8Array(coverage.length);
+            for (let i = 0; i < coverage.length; i++) {
+                grownOpen[i] = nearest[i] >= 0 && distanceSq[i] <= radiusPixels * radiusPixels ? 1 : 0;
+            }
+        }
+
+        const choked = new Uint8Array(coverage.length);
+        for (let i = 0; i < coverage.length; i++) {
+            choked[i] = coverage[i] && !grownOpen[i] ? 1 : 0;
+        }
+        return choked;
+    }
+
+    /**
+     * Build the highlight white plate of a label map
+     * The highlight prints last, on top of every ink, so it takes no part in
+     * trapping between plates: it covers the pixels of its labels and is
+     * spread over the neighboring inks (never into pixels without a plate) or
+     * choked by its own width.
+     * @param {Uint8Array} labels - Label map from createLabelMap()
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Uint8Array} highlightLabels - 1 for each label printed as highlight white
+     * @param {Object} options - {spreadPixels, chokePixels}
+     * @returns {Uint8Array} - Highlight coverage (1 = ink, 0 = none)
+     */
+    trapHighlightPlate(labels, width, height, highlightLabels, options = {}) {
+        const pixelCount = width * height;
+        let coverage = new Uint8Array(pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            if (highlightLabels[labels[i]]) {
+                coverage[i] = 1;
+            }
+        }
+
+        if (options.spreadPixels > 0) {
+            const coveringRadii = new Float32Array(NO_LABEL + 1);
+            for (let label = 0; label < NO_LABEL; label++) {
+                coveringRadii[label] = highlightLabels[label] ? 0 : options.spreadPixels;
+            }
+            coverage = this.spreadCoverageByRadius(labels, width, height, coverage, coveringRadii);
+        }
+
+        if (options.chokePixels > 0) {
+            coverage = this.chokeCoverage(labels, width, height, coverage, options.chokePixels);
+        }
+
+        return coverage;
+    }
+
+    /**
+     * Get the largest trap width of a per-label radius table
+     * @param {Float32Array} coveringRadii - Trap width in pixels per label
+     * @returns {number} - Largest width in pixels
+     */
+    getMaxRadius(coveringRadii) {
+        let maxRadius = 0;
+        for (let label = 0; label < coveringRadii.length; label++) {
+            maxRadius = Math.max(maxRadius, coveringRadii[label]);
+        }
+        return maxRadius;
+    }
+
+    /**
+     * Flag the labels whose trap width reaches a given distance
+     * @param {Float32Array} coveringRadii - Trap width in pixels per label
+     * @param {number} distance - Distance in pixels
+     * @returns {Uint8Array} - 1 for each label with radius >= distance
+     */
+    getLabelsWithinRadius(coveringRadii, distance) {
+        const flags = new Uint8Array(coveringRadii.length);
+        for (let label = 0; label < coveringRadii.length; label++) {
+            flags[label] = coveringRadii[label] >= distance ? 1 : 0;
+        }
+        return flags;
+    }
+
+    /**
+     * Legacy 4-connected dilation of plate coverage (trapShape 'diamond')
+     * @param {Uint8Array} labels - Label map
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Uint8Array} coverage - Plate coverage to grow
+     * @param {number} radiusPixels - Number of 1px iterations
+     * @param {Uint8Array} coveringLabels - 1 for each label the plate may spread under
+     * @param {Uint8Array|null} fineFeatures - Optional fine feature mask, blocked for labels below plateIndex
+     * @param {number} plateIndex - Label of the plate (only used with fineFeatures)
+     * @returns {Uint8Array} - Grown coverage
+     */
+    dilateCoverageDiamond(labels, width, height, coverage, radiusPixels, coveringLabels, fineFeatures = null, plateIndex = 0) {
+        let current = coverage;
+
+        for (let iteration = 0; iteration < radiusPixels; iteration++) {
+            const next = new Uint8Array(current);
+
+            for (let y = 0; y < height; y++) {
+                this.checkCancelled();
+                for (let x = 0; x < width; x++) {
+                    const i = y * width + x;
+                    if (current[i] || !coveringLabels[labels[i]] || (fineFeatures && fineFeatures[i] && labels[i] < plateIndex)) {
+                        continue;
+                    }
+
+                    if ((y > 0 && current[i - width]) ||
+                        (x < width - 1 && current[i + 1]) ||
+                        (y < height - 1 && current[i + width]) ||
+                        (x > 0 && current[i - 1])) {
+                        next[i] = 1;
+                    }
+                }
+            }
+
+            current = next;
+        }
+
+        return current;
+    }
+
+    /**
+     * Build a stacking label map from pre-separated plate layers
+     * Each pixel gets the highest plate index whose layer is opaque there
+     * (plates are in lightest-to-darkest order, so that is the darkest ink),
+     * or NO_LABEL where every layer is transparent.
+     * @param {Array} layerImages - RGBA image data per plate, all the same size
+     * @returns {Uint8Array} - Label per pixel
+     */
+    createStackLabelMap(layerImages) {
+        if (layerImages.length >= NO_LABEL) {
+            throw new Error(`Label map supports at most ${NO_LABEL - 1} plates, got ${layerImages.length}`);
+        }
+
+        const { width, height } = layerImages[0];
+        const pixelCount = width * height;
+        const labels = new Uint8Array(pixelCount).fill(NO_LABEL);
+
+        for (let plate = 0; plate < layerImages.length; plate++) {
+            const data = layerImages[plate].data;
+            for (let i = 0; i < pixelCount; i++) {
+                if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+                if (data[i * 4 + 3] > 0) {
+                    labels[i] = plate;
+                }
+            }
+        }
+
+        return labels;
+    }
+
+    /**
+     * Build an RGBA mask of the pixels a plate may spread into
+     * @param {Uint8Array} labels - Label per pixel
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Uint8Array} coveringLabels - Flags (indexed by label) of labels that may be spread under
+     * @param {Uint8Array|null} fineFeatures - Optional fine feature mask, blocked for labels below plateIndex
+     * @param {number} plateIndex - Label of the plate (only used with fineFeatures)
+     * @returns {ImageData} - Opaque where spreading is allowed, transparent elsewhere
+     */
+    createCoveringMask(labels, width, height, coveringLabels, fineFeatures = null, plateIndex = 0) {
+        const mask = this.createImageData(width, height);
+
+        for (let i = 0; i < labels.length; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            if (coveringLabels[labels[i]] && !(fineFeatures && fineFeatures[i] && labels[i] < plateIndex)) {
+                mask.data[i * 4 + 3] = 255;
+            }
+        }
+
+        return mask;
+    }
+
+    /**
+     * Get per-pixel coverage (non-transparent pixels) of an RGBA image
+     * @param {ImageData} imageData - RGBA image data
+     * @returns {Uint8Array} - 1 where alpha > 0, 0 elsewhere
+     */
+    getAlphaCoverage(imageData) {
+        const data = imageData.data;
+        const coverage = new Uint8Array(imageData.width * imageData.height);
+
+        for (let i = 0; i < coverage.length; i++) {
+            coverage[i] = data[i * 4 + 3] > 0 ? 1 : 0;
+        }
+
+        return coverage;
+    }
+
+    /**
+     * Expand plate coverage to RGBA for writing to a Photoshop layer
+     * @param {Uint8Array} coverage - Plate coverage (non-zero = ink)
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Object} color - Plate colour {r, g, b}
+     * @returns {ImageData} - RGBA image with the plate colour where covered
+     */
+    expandPlateToImageData(coverage, width, height, color) {
+        const imageData = this.createImageData(width, height);
+        const data = imageData.data;
+
+        for (let i = 0; i < coverage.length; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            if (coverage[i]) {
+                const idx = i * 4;
+                data[idx] = color.r;
+                data[idx + 1] = color.g;
+                data[idx + 2] = color.b;
+                data[idx + 3] = 255;
+            }
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Calculate lightness with the configured lightness model
+     * Only used for ordering: higher always means lighter. The range depends
+     * on the model: L* (0-100), reflectance in % from ink density
+     * (0-100), or Rec.601 luma (0-255).
      * @param {number} r - Red value (0-255)
      * @param {number} g - Green value (0-255)
      * @param {number} b - Blue value (0-255)
-     * @returns {number} - Lightness value (0-255)
+     * @returns {number} - Lightness value
      */
     calculateLightness(r, g, b) {
+        if (this.lightnessModel === 'lab') {
+            return ColorUtils.lightnessLab(r, g, b);
+        }
+
+        if (this.lightnessModel === 'density') {
+            return 100 * Math.pow(10, -ColorUtils.inkDensity(r, g, b));
+        }
+
         // Standard luminance formula
         return 0.299 * r + 0.587 * g + 0.114 * b;
     }
 
+    /**
+     * Describe a color's lightness (or density) in the configured model's units
+     * Used next to separated colors in layer names and logs.
+     * @param {Object} color - Color {r, g, b}
+     * @returns {string} - e.g. "L* 53.2", "D 0.72" or "Y' 76"
+     */
+    describeLightness(color) {
+        const { r, g, b } = color;
+
+        if (this.lightnessModel === 'lab') {
+            return `L* ${ColorUtils.lightnessLab(r, g, b).toFixed(1)}`;
+        }
+
+        if (this.lightnessModel === 'density') {
+            return `D ${ColorUtils.inkDensity(r, g, b).toFixed(2)}`;
+        }
+
+        return `Y' ${Math.round(0.299 * r + 0.587 * g + 0.114 * b)}`;
+    }
+
     /**
      * Sort colors from lightest to darkest
      * @param {Array} colors - Array of color objects
@@ -97,14 +842,384 @@ class TrappingEngine {
         });
     }
 
+    /**
+     * Order colors for printing (and trapping)
+     * Without a print order, colors print lightest first. With one, colors
+     * print in the given sequence; every color must be listed. Earlier
+     * colors spread under later ones and get more trap.
+     * @param {Array} colors - Color objects {r, g, b, lightness}
+     * @param {Array|null} printOrder - Hex strings or {r, g, b}, first printed first
+     * @returns {Array} - Colors in print order (new array)
+     * @throws {Error} - If a color is missing from the print order
+     */
+    orderColors(colors, printOrder = null) {
+        const byLightness = this.sortColorsByLightness([...colors]);
+        if (!printOrder || printOrder.length === 0) {
+            return byLightness;
+        }
+
+        const remaining = byLightness;
+        const ordered = [];
+
+        for (const entry of printOrder) {
+            const target = typeof entry === 'string' ? ColorUtils.parseHex(entry) : entry;
+            const matches = remaining.filter(c => this.matchesColor(c, target));
+
+            if (matches.length === 0) {
+                console.warn(`Print order color ${ColorUtils.toHex(target)} is not in the document, ignoring`);
+                continue;
+            }
+
+            for (const match of matches) {
+                ordered.push(match);
+                remaining.splice(remaining.indexOf(match), 1);
+            }
+        }
+
+        if (remaining.length > 0) {
+            throw new Error(`Print order is missing ${remaining.map(c => ColorUtils.toHex(c)).join(', ')}. List every color, first printed first.`);
+        }
+
+        return ordered;
+    }
+
     /**
      * Apply morphological dilation with mask
+     * Dispatches on trapShape: 'round' (default) or legacy 'diamond'
      * @param {ImageData} sourceData - Source image data
      * @param {number} radiusPixels - Dilation radius in pixels
      * @param {ImageData} mask - Binary mask for areas to expand into
      * @returns {ImageData} - Dilated image data
      */
     applyDilationWithMask(sourceData, radiusPixels, mask) {
+        if (this.trapShape === 'diamond') {
+            return this.applyDiamondDilationWithMask(sourceData, radiusPixels, mask);
+        }
+        return this.applyRoundDilationWithMask(sourceData, radiusPixels, mask);
+    }
+
+    /**
+     * Dilate a plate layer with a trap width per covering label
+     * Layers-mode counterpart of trapLabelPlateByRadius(): keeps the layer's
+     * own pixels and colours, spreading them by the radius of the label under
+     * each empty pixel.
+     * @param {ImageData} sourceData - Plate layer image data
+     * @param {Uint8Array} labels - Stacking label map from createStackLabelMap()
+     * @param {Float32Array} coveringRadii - Trap width in pixels per label (0 = blocked)
+     * @param {Uint8Array|null} fineFeatures - Optional fine feature mask, blocked for labels below plateIndex
+     * @param {number} plateIndex - Label of the plate (only used with fineFeatures)
+     * @returns {ImageData} - Dilated image data
+     */
+    applyDilationByLabel(sourceData, labels, coveringRadii, fineFeatures = null, plateIndex = 0) {
+        const { width, height } = sourceData;
+        const maxRadius = this.getMaxRadius(coveringRadii);
+
+        if (maxRadius <= 0) {
+            return sourceData;
+        }
+
+        if (this.trapShape === 'diamond') {
+            let current = sourceData;
+            for (let step = 1; step <= maxRadius; step++) {
+                const mask = this.createCoveringMask(labels, width, height, this.getLabelsWithinRadius(coveringRadii, step), fineFeatures, plateIndex);
+                current = this.applyDiamondDilationWithMask(current, 1, mask);
+            }
+            return current;
+        }
+
+        const source = sourceData.data;
+        const pixelCount = width * height;
+        const isSource = this.getAlphaCoverage(sourceData);
+        const getLimitSq = this.getLabelLimitSq(labels, coveringRadii, fineFeatures, plateIndex);
+        const nearest = this.propagateNearestSource(isSource, getLimitSq, width, height);
+        const result = this.createImageData(width, height, new Uint8ClampedArray(source));
+
+        for (let i = 0; i < pixelCount; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            if (isSource[i] || nearest[i] < 0) {
+                continue;
+            }
+
+            const idx = i * 4;
+            const nIdx = nearest[i] * 4;
+            result.data[idx] = source[nIdx];
+            result.data[idx + 1] = source[nIdx + 1];
+            result.data[idx + 2] = source[nIdx + 2];
+            result.data[idx + 3] = source[nIdx + 3];
+        }
+
+        return result;
+    }
+
+    /**
+     * Compute the exact Euclidean distance transform of a set of source pixels
+     * Two separable passes (columns, then lower envelope of parabolas per row,
+     * Felzenszwalb & Huttenlocher), so runtime is linear in the pixel count and
+     * does not depend on any trap radius.
+     * @param {Uint8Array} isSource - 1 where a pixel is a source, 0 otherwise
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {Object} - { distanceSq: Float32Array, nearest: Int32Array } per pixel;
+     *                     nearest is the pixel index of the closest source (-1 if none)
+     */
+    computeDistanceTransform(isSource, width, height) {
+        const pixelCount = width * height;
+        const distanceSq = new Float32Array(pixelCount);
+        const nearest = new Int32Array(pixelCount);
+
+        // Pass 1: nearest source row within each column (stored in `nearest` for now)
+        for (let x = 0; x < width; x++) {
+            this.checkCancelled();
+            let lastRow = -1;
+            for (let y = 0; y < height; y++) {
+                const i = y * width + x;
+                if (isSource[i]) {
+                    lastRow = y;
+                }
+                nearest[i] = lastRow;
+            }
+
+            lastRow = -1;
+            for (let y = height - 1; y >= 0; y--) {
+                const i = y * width + x;
+                if (isSource[i]) {
+                    lastRow = y;
+                } else if (lastRow !== -1 && (nearest[i] === -1 || lastRow - y < y - nearest[i])) {
+                    nearest[i] = lastRow;
+                }
+            }
+        }
+
+        // Pass 2: lower envelope of the column parabolas along each row
+        const rowDist = new Float64Array(width);
+        const rowSource = new Int32Array(width);
+        const envelope = new Int32Array(width);
+        const boundaries = new Float64Array(width + 1);
+
+        for (let y = 0; y < height; y++) {
+            this.checkCancelled();
+            const rowStart = y * width;
+            let k = -1;
+
+            for (let q = 0; q < width; q++) {
+                const sourceRow = nearest[rowStart + q];
+                rowSource[q] = sourceRow;
+                if (sourceRow === -1) {
+                    continue;
+                }
+
+                const dy = y - sourceRow;
+                rowDist[q] = dy * dy;
+
+                if (k === -1) {
+                    k = 0;
+                    envelope[0] = q;
+                    boundaries[0] = -Infinity;
+                    boundaries[1] = Infinity;
+                    continue;
+                }
+
+                let intersection;
+                for (;;) {
+                    const p = envelope[k];
+                    intersection = ((rowDist[q] + q * q) - (rowDist[p] + p * p)) / (2 * q - 2 * p);
+                    if (intersection <= boundaries[k]) {
+                        k--;
+                    } else {
+                        break;
+                    }
+                }
+
+                k++;
+                envelope[k] = q;
+                boundaries[k] = intersection;
+                boundaries[k + 1] = Infinity;
+            }
+
+            if (k === -1) {
+                // No source pixel in any column
+                for (let x = 0; x < width; x++) {
+                    distanceSq[rowStart + x] = Infinity;
+                    nearest[rowStart + x] = -1;
+                }
+                continue;
+            }
+
+            k = 0;
+            for (let x = 0; x < width; x++) {
+                while (boundaries[k + 1] < x) {
+                    k++;
+                }
+                const p = envelope[k];
+                const dx = x - p;
+                distanceSq[rowStart + x] = dx * dx + rowDist[p];
+                nearest[rowStart + x] = rowSource[p] * width + p;
+            }
+        }
+
+        return { distanceSq, nearest };
+    }
+
+    /**
+     * Propagate the nearest source pixel through the pixels a trap may fill
+     * Each filled pixel takes the nearest source of a 4-connected neighbor
+     * that is filled already (vector propagation, nearest first), so a trap
+     * only reaches pixels it can get to through allowed pixels: it never
+     * jumps over another plate or a paper gap, like the diamond dilation,
+     * but keeps the round (Euclidean) width. A pixel is filled when its
+     * squared distance to that source is within its limit. Work is
+     * proportional to the filled pixels, not to the radius.
+     * @param {Uint8Array} isSource - 1 where a pixel is a source, 0 otherwise
+     * @param {Function} getLimitSq - (pixelIndex) => squared trap width of the pixel (0 = blocked)
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {Int32Array} - Pixel index of the source each pixel takes its ink from (-1 = not filled)
+     */
+    propagateNearestSource(isSource, getLimitSq, width, height) {
+        const pixelCount = width * height;
+        const nearest = new Int32Array(pixelCount).fill(-1);
+
+        // Squared distances are integers: a pixel takes a source whose squared
+        // distance is below its bound, which starts just above its limit
+        const bound = new Int32Array(pixelCount);
+        let maxBound = 1;
+        for (let i = 0; i < pixelCount; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            const limitSq = getLimitSq(i);
+            bound[i] = limitSq > 0 ? Math.floor(limitSq) + 1 : 0;
+            if (bound[i] > maxBound) maxBound = bound[i];
+        }
+
+        // Bucket queue by squared distance
+        const buckets = new Array(maxBound);
+        buckets[0] = [];
+
+        for (let y = 0; y < height; y++) {
+            this.checkCancelled();
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (!isSource[i]) {
+                    continue;
+                }
+                nearest[i] = i;
+                bound[i] = 0;
+
+                // Only sources on the edge of their area can reach anything
+                if ((y > 0 && !isSource[i - width]) ||
+                    (x < width - 1 && !isSource[i + 1]) ||
+                    (y < height - 1 && !isSource[i + width]) ||
+                    (x > 0 && !isSource[i - 1])) {
+                    buckets[0].push(i);
+                }
+            }
+        }
+
+        for (let d = 0; d < buckets.length; d++) {
+            const bucket = buckets[d];
+            if (!bucket) {
+                continue;
+            }
+            this.checkCancelled();
+
+            // A pixel that gets a nearer source than the current distance is
+            // queued in this bucket again, so the bucket can grow while it is read
+            for (let n = 0; n < bucket.length; n++) {
+                const i = bucket[n];
+                const source = nearest[i];
+                const sourceX = source % width;
+                const sourceY = (source - sourceX) / width;
+                const x = i % width;
+                const y = (i - x) / width;
+
+                for (let k = 0; k < 4; k++) {
+                    const nx = k === 1 ? x + 1 : k === 3 ? x - 1 : x;
+                    const ny = k === 0 ? y - 1 : k === 2 ? y + 1 : y;
+                    if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+                        continue;
+                    }
+
+                    const j = ny * width + nx;
+                    const dx = nx - sourceX;
+                    const dy = ny - sourceY;
+                    const dSq = dx * dx + dy * dy;
+                    if (dSq >= bound[j]) {
+                        continue;
+                    }
+
+                    nearest[j] = source;
+                    bound[j] = dSq;
+                    const key = Math.max(dSq, d);
+                    (buckets[key] || (buckets[key] = [])).push(j);
+                }
+            }
+            buckets[d] = null;
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Apply Euclidean (round) dilation with mask
+     * An empty pixel is filled when a source pixel lies within radiusPixels
+     * of it, reached through pixels the mask allows; it takes the colour of
+     * that source. Mask semantics match the diamond dilation: transparent
+     * mask pixels are never filled and the trap does not jump over them.
+     * Built on propagateNearestSource(), so cost does not grow with the radius.
+     * @param {ImageData} sourceData - Source image data
+     * @param {number} radiusPixels - Dilation radius in pixels
+     * @param {ImageData} mask - Binary mask for areas to expand into
+     * @returns {ImageData} - Dilated image data
+     */
+    applyRoundDilationWithMask(sourceData, radiusPixels, mask) {
+        if (radiusPixels <= 0) {
+            return sourceData;
+        }
+
+        const { width, height } = sourceData;
+        const source = sourceData.data;
+        const pixelCount = width * height;
+
+        console.log(`applyRoundDilationWithMask: radiusPixels=${radiusPixels}, width=${width}, height=${height}`);
+
+        const isSource = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            isSource[i] = source[i * 4 + 3] > 0 ? 1 : 0;
+        }
+
+        // If mask pixel is transparent, don't expand here
+        const radiusSq = radiusPixels * radiusPixels;
+        const getLimitSq = mask && mask.data ? i => (mask.data[i * 4 + 3] === 0 ? 0 : radiusSq) : () => radiusSq;
+        const nearest = this.propagateNearestSource(isSource, getLimitSq, width, height);
+        const result = this.createImageData(width, height, new Uint8ClampedArray(source));
+
+        for (let i = 0; i < pixelCount; i++) {
+            if ((i & CANCEL_CHECK_MASK) === 0) this.checkCancelled();
+            if (isSource[i] || nearest[i] < 0) {
+                continue;
+            }
+
+            // Copy colour from the nearest source pixel
+            const idx = i * 4;
+            const nIdx = nearest[i] * 4;
+            result.data[idx] = source[nIdx];
+            result.data[idx + 1] = source[nIdx + 1];
+            result.data[idx + 2] = source[nIdx + 2];
+            result.data[idx + 3] = source[nIdx + 3];
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply 4-connected (diamond) dilation with mask
+     * Grows one pixel per iteration, so diagonal reach is only ~70% of the radius
+     * @param {ImageData} sourceData - Source image data
+     * @param {number} radiusPixels - Dilation radius in pixels
+     * @param {ImageData} mask - Binary mask for areas to expand into
+     * @returns {ImageData} - Dilated image data
+     */
+    applyDiamondDilationWithMask(sourceData, radiusPixels, mask) {
         if (radiusPixels <= 0) {
             return sourceData;
         }
@@ -112,13 +1227,14 @@ class TrappingEngine {
         const { width, height } = sourceData;
         let current = this.createImageData(width, height, new Uint8ClampedArray(sourceData.data));
 
-        console.log(`applyDilationWithMask: radiusPixels=${radiusPixels}, width=${width}, height=${height}`);
+        console.log(`applyDiamondDilationWithMask: radiusPixels=${radiusPixels}, width=${width}, height=${height}`);
         if (mask) {
-            console.log(`applyDilationWithMask: mask dimensions=${mask.width}x${mask.height}, data length=${mask.data.length}`);
+            console.log(`applyDiamondDilationWithMask: mask dimensions=${mask.width}x${mask.height}, data length=${mask.data.length}`);
         }
 
         // Iterative dilation for better performance
         for (let iteration = 0; iteration < radiusPixels; iteration++) {
+            this.checkCancelled();
             const next = this.createImageData(width, height);
 
             // Copy current to next
@@ -188,6 +1304,10 @@ class TrappingEngine {
 
     /**
      * Apply morphological erosion (for underbase choke)
+     * Follows the trap shape like the dilations: a round choke removes pixels
+     * within radiusPixels (Euclidean) of a transparent pixel, a diamond choke
+     * erodes 1px (4-connected) per iteration. The image edge does not choke,
+     * like chokeCoverage(): art running off the edge continues past it.
      * @param {ImageData} sourceData - Source image data
      * @param {number} radiusPixels - Erosion radius in pixels
      * @returns {ImageData} - Eroded image data
@@ -197,11 +1317,16 @@ class TrappingEngine {
             return sourceData;
         }
 
+        if (this.trapShape !== 'diamond') {
+            return this.applyRoundErosion(sourceData, radiusPixels);
+        }
+
         const { width, height } = sourceData;
         let current = this.createImageData(width, height, new Uint8ClampedArray(sourceData.data));
 
         // Iterative erosion
         for (let iteration = 0; iteration < radiusPixels; iteration++) {
+            this.checkCancelled();
             const next = this.createImageData(width, height);
 
             for (let y = 0; y < height; y++) {
@@ -226,10 +1351,9 @@ class TrappingEngine {
                         const nx = x + dx;
                         const ny = y + dy;
 
-                        // If neighbor is out of bounds or transparent, erode this pixel
+                        // Out of bounds counts as covered; a transparent neighbor erodes this pixel
                         if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
-                            keepPixel = false;
-                            break;
+                            continue;
                         }
 
                         const nIdx = (ny * width + nx) * 4;
@@ -255,10 +1379,80 @@ class TrappingEngine {
         return current;
     }
 
+    /**
+     * Round erosion by exact distance transform (trapShape 'round')
+     * @param {ImageData} sourceData - Source image data
+     * @param {number} radiusPixels - Erosion radius in pixels
+     * @returns {ImageData} - Eroded image data
+     */
+    applyRoundErosion(sourceData, radiusPixels) {
+        const { width, height } = sourceData;
+        const pixelCount = width * height;
+        const isOpen = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            isOpen[i] = sourceData.data[i * 4 + 3] === 0 ? 1 : 0;
+        }
+
+        const { distanceSq, nearest } = this.computeDistanceTransform(isOpen, width, height);
+        const result = this.createImageData(width, height);
+        const radiusSq = radiusPixels * radiusPixels;
+
+        for (let y = 0; y < height; y++) {
+            this.checkCancelled();
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (isOpen[i]) {
+                    continue;
+                }
+                if (nearest[i] >= 0 && distanceSq[i] <= radiusSq) {
+                    continue;
+                }
+
+                const idx = i * 4;
+                result.data[idx] = sourceData.data[idx];
+                result.data[idx + 1] = sourceData.data[idx + 1];
+                result.data[idx + 2] = sourceData.data[idx + 2];
+                result.data[idx + 3] = sourceData.data[idx + 3];
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Estimate how much white an ink needs under it on a garment
+     * An ink lighter than the garment needs white in proportion to the
+     * lightness it has to gain (L*); a saturated ink needs some white to stay
+     * bright even when it is darker. Both scale with how dark the garment is,
+     * so a white garment needs no underbase at all.
+     * @param {Object} inkColor - Ink color {r, g, b}
+     * @param {Object} garmentColor - Garment color {r, g, b}
+     * @returns {number} - Underbase density (0 = none, 1 = solid white)
+     */
+    calculateUnderbaseDensity(inkColor, garmentColor) {
+        const ink = ColorUtils.rgbToLab(inkColor.r, inkColor.g, inkColor.b);
+        const garmentL = ColorUtils.lightnessLab(garmentColor.r, garmentColor.g, garmentColor.b);
+
+        const garmentDarkness = Math.max(0, Math.min(1, 1 - garmentL / 100));
+        if (garmentDarkness === 0) {
+            return 0;
+        }
+
+        const lightNeed = Math.max(0, ink.L - garmentL) / (100 - garmentL);
+        const chromaNeed = UNDERBASE_CHROMA_WEIGHT * Math.min(1, Math.hypot(ink.a, ink.b) / UNDERBASE_FULL_CHROMA);
+
+        return Math.min(1, Math.max(lightNeed, chromaNeed) * garmentDarkness);
+    }
+
     /**
      * Generate underbase layer for screen printing
+     * Underbase pixels are white; their alpha is the amount of white ink
+     * (solid 255, or a tone per plate with densities), so the layer doubles
+     * as the grayscale plate that is halftoned for the screen.
      * @param {ImageData} sourceData - Source image data
-     * @param {Object} options - Underbase options
+     * @param {Object} options - Underbase options {garmentColor, garmentTolerance, chokePixels, labels, densities}; with a
+     *                           label map, pixels without a plate (substrate, excluded) get no underbase,
+     *                           and densities (0-1, indexed by label) make it tonal
      * @returns {ImageData} - Underbase layer
      */
     generateUnderbase(sourceData, options = {}) {
@@ -266,7 +1460,12 @@ class TrappingEngine {
         const underbase = this.createImageData(width, height);
 
         const garmentColor = options.garmentColor || { r: 255, g: 255, b: 255 }; // Default white
+        const garmentTolerance = options.garmentTolerance !== undefined ? options.garmentTolerance : DEFAULT_GARMENT_TOLERANCE;
         const chokePixels = options.chokePixels || 0;
+        const labels = options.labels || null;
+        const levels = labels && options.densities
+            ? Array.from(options.densities, density => Math.round(Math.max(0, Math.min(1, density)) * 255))
+            : null;
 
         // Create white underbase for all non-garment pixels
         for (let y = 0; y < height; y++) {
@@ -276,21 +1475,19 @@ class TrappingEngine {
                 const g = sourceData.data[idx + 1];
                 const b = sourceData.data[idx + 2];
                 const a = sourceData.data[idx + 3];
+                const label = labels ? labels[y * width + x] : 0;
 
                 // Check if pixel needs underbase
-                if (a > 0) {
+                if (a > 0 && label !== NO_LABEL) {
                     // Simple check: if not garment color, needs white underbase
-                    const isGarmentColor = (
-                        Math.abs(r - garmentColor.r) < 10 &&
-                        Math.abs(g - garmentColor.g) < 10 &&
-                        Math.abs(b - garmentColor.b) < 10
-                    );
-
-                    if (!isGarmentColor) {
-                        underbase.data[idx] = 255;     // White
-                        underbase.data[idx + 1] = 255; // White
-                        underbase.data[idx + 2] = 255; // White
-                        underbase.data[idx + 3] = 255; // Opaque
+                    const isGarmentColor = this.matchesGarment({ r, g, b }, garmentColor, garmentTolerance);
+
+                    const level = levels ? (levels[label] || 0) : 255;
+                    if (!isGarmentColor && level > 0) {
+                        underbase.data[idx] = 255;       // White
+                        underbase.data[idx + 1] = 255;   // White
+                        underbase.data[idx + 2] = 255;   // White
+                        underbase.data[idx + 3] = level; // Ink amount
                     }
                 }
             }
@@ -315,6 +1512,8 @@ class TrappingEngine {
                 name: 'Screen Printing',
                 direction: 'Light spreads under dark',
                 description: 'Optimized for screen printing on garments',
+                trapShape: 'round',
+                lightnessModel: 'lab',
                 defaultMinTrap: 0,
                 defaultMaxTrap: 0.0556 // 4pt in inches
             };
@@ -323,6 +1522,8 @@ class TrappingEngine {
                 name: 'Offset Lithography',
                 direction: 'Light spreads under dark',
                 description: 'High-precision commercial printing',
+                trapShape: 'round',
+                lightnessModel: 'lab',
                 defaultMinTrap: 0,
                 defaultMaxTrap: 0.03125 // 1/32" in inches
             };
@@ -330,5 +1531,14 @@ class TrappingEngine {
     }
 }
 
+TrappingEngine.NO_LABEL = NO_LABEL;
+TrappingEngine.LIGHTNESS_MODELS = LIGHTNESS_MODELS;
+TrappingEngine.DISTANCE_METRICS = DISTANCE_METRICS;
+TrappingEngine.SUBSTRATE_DETECTIONS = SUBSTRATE_DETECTIONS;
+TrappingEngine.TRAP_TYPES = TRAP_TYPES;
+TrappingEngine.DEFAULT_GARMENT_TOLERANCE = DEFAULT_GARMENT_TOLERANCE;
+TrappingEngine.UNDERBASE_CHROMA_WEIGHT = UNDERBASE_CHROMA_WEIGHT;
+TrappingEngine.UNDERBASE_FULL_CHROMA = UNDERBASE_FULL_CHROMA;
+
 // Export for Node.js
 module.exports = TrappingEngine;
\ No newline at end of file
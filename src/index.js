@@ -8,10 +8,16 @@ const { app, core } = require("photoshop");
 
 // Import modules
 const TrapperController = require("./core/TrapperController");
+const TrapMatrix = require("./core/TrapMatrix");
+const ColorReview = require("./core/ColorReview");
+const ColorUtils = require("./utils/ColorUtils");
+const TrapSizeParser = require("./utils/TrapSizeParser");
+const { CancellationToken } = require("./utils/Cancellation");
 
 // Plugin state
 let controller = null;
 let listenersAttached = false;
+let activeCancelToken = null; // Set while a trapping run is in progress
 
 /**
  * Plugin initialization
@@ -66,6 +72,12 @@ async function showTrapperDialog() {
     // Set up event listeners
     setupDialogEventListeners(dialog);
 
+    // Pre-separated documents (one layer per ink) default to layers-as-plates
+    document.getElementById("inputMode").value = validity.layerPlates > 1 ? 'layers' : 'flattened';
+
+    // Up-front estimate for the default settings (the dialog is usable meanwhile)
+    showRunEstimate();
+
     // Show the modal dialog
     try {
         await dialog.showModal();
@@ -90,6 +102,10 @@ function setupDialogEventListeners(dialog) {
     const printingMode = document.getElementById("printingMode");
     const applyButton = document.getElementById("applyButton");
     const cancelButton = document.getElementById("cancelButton");
+    const previewButton = document.getElementById("previewButton");
+    const trapWidthsButton = document.getElementById("trapWidthsButton");
+    const paletteButton = document.getElementById("paletteButton");
+    const estimateButton = document.getElementById("estimateButton");
 
     // Mode selector - update default trap size
     printingMode.addEventListener('change', () => {
@@ -101,6 +117,11 @@ function setupDialogEventListeners(dialog) {
         } else {
             trapSizeInput.value = '4pt';
         }
+
+        // The garment, underbase and highlight white are screen printing options
+        document.getElementById("garmentSection").style.display = mode === 'screen' ? '' : 'none';
+        document.getElementById("underbaseSection").style.display = mode === 'screen' ? '' : 'none';
+        document.getElementById("highlightSection").style.display = mode === 'screen' ? '' : 'none';
     });
 
     // Apply button
@@ -108,8 +129,40 @@ function setupDialogEventListeners(dialog) {
         await applyTrapping(dialog);
     });
 
-    // Cancel button
+    // Preview button - first click shows the trap overlay, second click removes it
+    previewButton.addEventListener('click', async () => {
+        await togglePreview();
+    });
+
+    // Trap widths button - lists the width each layer would get, without trapping
+    trapWidthsButton.addEventListener('click', async () => {
+        await showTrapWidths();
+    });
+
+    // Palette button - shows the inks a run would separate into, for approval
+    paletteButton.addEventListener('click', async () => {
+        await showPalette();
+    });
+
+    // Estimate button - memory and time for the current settings, before anything runs
+    estimateButton.addEventListener('click', async () => {
+        await showRunEstimate();
+    });
+
+    // Closing the dialog (Cancel, Apply or Escape) always removes the preview
+    dialog.addEventListener('close', async () => {
+        await clearPreview();
+    });
+
+    // Cancel button - cancels a running operation, otherwise closes the dialog
     cancelButton.addEventListener('click', () => {
+        if (activeCancelToken) {
+            console.log('Cancel requested by user');
+            activeCancelToken.cancel();
+            cancelButton.disabled = true;
+            document.getElementById("progressText").textContent = 'Cancelling...';
+            return;
+        }
         dialog.close();
     });
 
@@ -123,6 +176,7 @@ function resetDialogState() {
     // Reset buttons to enabled state
     const applyButton = document.getElementById("applyButton");
     const cancelButton = document.getElementById("cancelButton");
+    const previewButton = document.getElementById("previewButton");
 
     if (applyButton) {
         applyButton.disabled = false;
@@ -130,6 +184,19 @@ function resetDialogState() {
     if (cancelButton) {
         cancelButton.disabled = false;
     }
+    if (previewButton) {
+        previewButton.disabled = false;
+        previewButton.textContent = 'Preview Trap Areas';
+    }
+
+    renderPreviewLegend(null);
+    renderTrapMatrix(null);
+    renderTrapWidths(null);
+    renderPalette(null);
+    const runEstimate = document.getElementById("runEstimate");
+    if (runEstimate) {
+        runEstimate.textContent = '';
+    }
 
     // Hide progress indicator
     const container = document.getElementById("progressContainer");
@@ -153,36 +220,87 @@ function resetDialogState() {
 async function applyTrapping(dialog) {
     const mode = document.getElementById("printingMode").value;
     const trapSize = document.getElementById("trapSize").value;
+    const inputMode = document.getElementById("inputMode").value;
+    const lightnessModel = document.getElementById("lightnessModel").value;
+    const printOrder = readPrintOrder();
+    const trapMatrix = readTrapMatrix();
+    const { trapCurve, trapList, trapType } = readTrapWidths();
+    const colorCleanup = readColorCleanup();
+    const garment = readGarment(mode);
+    const underbase = readUnderbase(mode);
+    const highlight = readHighlight(mode);
+    const outputMode = document.getElementById("outputMode").value;
+    const keepOriginal = document.getElementById("keepOriginal").checked;
+    const plateOutput = document.getElementById("plateOutput").value;
+    const spotSolidity = parseFloat(document.getElementById("spotSolidity").value);
+    const memoryBudgetMB = parseFloat(document.getElementById("memoryBudget").value);
 
     // Show progress
     showProgress('Initializing...');
 
+    const cancelToken = new CancellationToken();
+    activeCancelToken = cancelToken;
 
     try {
         // Validate inputs (minTrap is always '0')
         controller.validateTrapSizes('0', trapSize);
+        if (!(memoryBudgetMB > 0)) {
+            throw new Error('Memory budget must be a positive number of megabytes');
+        }
+        if (plateOutput === 'spotChannels' && !(spotSolidity >= 0 && spotSolidity <= 100)) {
+            throw new Error('Spot channel solidity must be between 0 and 100%');
+        }
 
         console.log('Starting trapping operation...');
 
+        // The overlay must not end up in the trapped result
+        await clearPreview();
+
         const document = await controller.psApi.getActiveDocument();
         const outputName = controller.createTrappedDocumentName(document.title);
 
         // All operations must happen inside executeAsModal (including merge)
         let trappingResult;
         await core.executeAsModal(async (executionContext) => {
+            // Cancelling from Photoshop's own progress bar cancels the run as well
+            executionContext.onCancel = () => cancelToken.cancel();
+
             // Suspend history to group all operations into a single history entry
-            const suspensionID = await executionContext.hostControl.suspendHistory({
-                documentID: document.id,
-                name: "Apply Color Trapping"
-            });
+            // (a new output document suspends its own history in the controller;
+            // the source document is not modified then)
+            let suspensionID = null;
+            if (outputMode === 'inPlace') {
+                suspensionID = await executionContext.hostControl.suspendHistory({
+                    documentID: document.id,
+                    name: "Apply Color Trapping"
+                });
+            }
 
             try {
                 trappingResult = await controller.applyTrapping({
                     sourceDocument: document,
                     outputName: outputName,
+                    inputMode,
+                    lightnessModel,
+                    printOrder,
+                    trapMatrix,
+                    trapCurve,
+                    trapList,
+                    trapType,
+                    ...colorCleanup,
+                    ...garment,
+                    ...underbase,
+                    ...highlight,
+                    outputMode,
+                    keepOriginal,
+                    plateOutput,
+                    spotSolidity,
+                    hostControl: executionContext.hostControl,
                     mode,
                     minTrap: '0',
                     maxTrap: trapSize,
+                    memoryBudgetMB,
+                    cancelToken,
                     onProgress: (progress, message) => {
                         updateProgress(progress, message);
                     }
@@ -191,15 +309,21 @@ async function applyTrapping(dialog) {
                 console.log('Trapping operation completed successfully. Result:', trappingResult);
 
                 // ONLY resume history on success - commits all changes as a single undo entry
-                await executionContext.hostControl.resumeHistory(suspensionID);
-                console.log('History resumed - operation committed to undo stack');
+                if (suspensionID !== null) {
+                    await executionContext.hostControl.resumeHistory(suspensionID);
+                    console.log('History resumed - operation committed to undo stack');
+                }
             } catch (error) {
                 // DON'T resume history on error - this discards all suspended changes
                 // The document will be rolled back to the state before suspendHistory was called
                 // Nothing will appear in the undo history
-                console.error('Operation failed, discarding suspended history (rollback)');
-                console.error('Error details:', error.message);
-                // Re-throw to show error dialog
+                if (CancellationToken.isCancellation(error)) {
+                    console.log('Operation cancelled, discarding suspended history (rollback)');
+                } else {
+                    console.error('Operation failed, discarding suspended history (rollback)');
+                    console.error('Error details:', error.message);
+                }
+                // Re-throw to show error dialog (or "Cancelled")
                 throw error;
             }
         }, {
@@ -213,6 +337,12 @@ async function applyTrapping(dialog) {
 
         console.log('Dialog closed, trapping complete');
     } catch (error) {
+        // Cancelled by user: document was rolled back, no error alert
+        if (CancellationToken.isCancellation(error)) {
+            showCancelled();
+            return;
+        }
+
         // Show error message
         hideProgress();
         console.error('Trapping error:', error);
@@ -226,9 +356,695 @@ async function applyTrapping(dialog) {
             console.log('Locked layer error - closing dialog so user can unlock layers');
             dialog.close();
         }
+    } finally {
+        activeCancelToken = null;
+    }
+}
+
+/**
+ * Show the trap preview overlay, or remove it if already shown
+ */
+async function togglePreview() {
+    if (controller.preview) {
+        await clearPreview();
+        return;
+    }
+
+    const mode = document.getElementById("printingMode").value;
+    const trapSize = document.getElementById("trapSize").value;
+    const inputMode = document.getElementById("inputMode").value;
+    const lightnessModel = document.getElementById("lightnessModel").value;
+    const printOrder = readPrintOrder();
+    const trapMatrix = readTrapMatrix();
+    const { trapCurve, trapList, trapType } = readTrapWidths();
+    const colorCleanup = readColorCleanup();
+    // The garment knockout, underbase and highlight white change the plates, as in the run
+    const garment = readGarment(mode);
+    const underbase = readUnderbase(mode);
+    const highlight = readHighlight(mode);
+    const memoryBudgetMB = parseFloat(document.getElementById("memoryBudget").value);
+    const previewButton = document.getElementById("previewButton");
+
+    showProgress('Building preview...');
+    previewButton.disabled = true;
+
+    const cancelToken = new CancellationToken();
+    activeCancelToken = cancelToken;
+
+    try {
+        controller.validateTrapSizes('0', trapSize);
+        if (!(memoryBudgetMB > 0)) {
+            throw new Error('Memory budget must be a positive number of megabytes');
+        }
+
+        const sourceDocument = await controller.psApi.getActiveDocument();
+        const { legend, trapMatrix: usedMatrix } = await controller.showPreview({
+            sourceDocument,
+            inputMode,
+            lightnessModel,
+            printOrder,
+            trapMatrix,
+            trapCurve,
+            trapList,
+            trapType,
+            ...colorCleanup,
+            ...garment,
+            ...underbase,
+            ...highlight,
+            mode,
+            minTrap: '0',
+            maxTrap: trapSize,
+            memoryBudgetMB,
+            cancelToken,
+            onProgress: (progress, message) => {
+                updateProgress(progress, message);
+            }
+        });
+
+        hideProgress();
+        renderPreviewLegend(legend);
+        renderTrapMatrix(usedMatrix);
+        previewButton.textContent = 'Hide Preview';
+    } catch (error) {
+        if (CancellationToken.isCancellation(error)) {
+            showCancelled();
+            return;
+        }
+
+        hideProgress();
+        console.error('Preview error:', error);
+        const errorMsg = error && error.message ? error.message : String(error);
+        await app.showAlert(`Error: ${errorMsg}`);
+    } finally {
+        activeCancelToken = null;
+        previewButton.disabled = false;
+    }
+}
+
+/**
+ * Analyze the document and list the trap width of each layer
+ */
+async function showTrapWidths() {
+    const mode = document.getElementById("printingMode").value;
+    const trapSize = document.getElementById("trapSize").value;
+    const inputMode = document.getElementById("inputMode").value;
+    const lightnessModel = document.getElementById("lightnessModel").value;
+    const trapWidthsButton = document.getElementById("trapWidthsButton");
+
+    trapWidthsButton.disabled = true;
+
+    try {
+        controller.validateTrapSizes('0', trapSize);
+        const printOrder = readPrintOrder();
+        const trapMatrix = readTrapMatrix();
+        const { trapCurve, trapList, trapType } = readTrapWidths();
+        const colorCleanup = readColorCleanup();
+        // The garment knockout, underbase and highlight white change the plates, as in the run
+        const garment = readGarment(mode);
+        const underbase = readUnderbase(mode);
+        const highlight = readHighlight(mode);
+        const sourceDocument = await controller.psApi.getActiveDocument();
+
+        // Reads pixels only; the document is not changed
+        let widths;
+        await core.executeAsModal(async () => {
+            widths = await controller.getTrapWidths({
+                sourceDocument,
+                inputMode,
+                lightnessModel,
+                printOrder,
+                trapMatrix,
+                trapCurve,
+                trapList,
+                trapType,
+                ...colorCleanup,
+                ...garment,
+                ...underbase,
+                ...highlight,
+                mode,
+                minTrap: '0',
+                maxTrap: trapSize,
+                memoryBudgetMB: parseFloat(document.getElementById("memoryBudget").value)
+            });
+        }, {
+            commandName: 'Analyze Trap Widths'
+        });
+
+        renderTrapWidths(widths);
+    } catch (error) {
+        console.error('Trap widths error:', error);
+        const errorMsg = error && error.message ? error.message : String(error);
+        await app.showAlert(`Error: ${errorMsg}`);
+    } finally {
+        trapWidthsButton.disabled = false;
+    }
+}
+
+/**
+ * Analyze the document and list the inks it separates into
+ * Each color can be renamed, excluded or merged into another (the color
+ * review). With k-means clustering this is the reduced palette, which can be
+ * locked so the run uses exactly these inks.
+ */
+async function showPalette() {
+    const inputMode = document.getElementById("inputMode").value;
+    const lightnessModel = document.getElementById("lightnessModel").value;
+    const paletteButton = document.getElementById("paletteButton");
+
+    paletteButton.disabled = true;
+
+    try {
+        const mode = document.getElementById("printingMode").value;
+        const printOrder = readPrintOrder();
+        const colorCleanup = readColorCleanup();
+        // The garment knockout, underbase and highlight white change the plates
+        const garment = readGarment(mode);
+        const underbase = readUnderbase(mode);
+        const highlight = readHighlight(mode);
+        const sourceDocument = await controller.psApi.getActiveDocument();
+
+        // Reads pixels only; the document is not changed
+        let palette;
+        await core.executeAsModal(async () => {
+            palette = await controller.getPalette({
+                sourceDocument,
+                inputMode,
+                lightnessModel,
+                printOrder,
+                ...colorCleanup,
+                ...garment,
+                ...underbase,
+                ...highlight,
+                mode,
+                minTrap: '0',
+                maxTrap: document.getElementById("trapSize").value,
+                memoryBudgetMB: parseFloat(document.getElementById("memoryBudget").value)
+            });
+        }, {
+            commandName: 'Analyze Palette'
+        });
+
+        renderPalette(palette);
+    } catch (error) {
+        console.error('Palette error:', error);
+        const errorMsg = error && error.message ? error.message : String(error);
+        await app.showAlert(`Error: ${errorMsg}`);
+    } finally {
+        paletteButton.disabled = false;
+    }
+}
+
+/**
+ * Lock a palette: the next runs reduce to exactly these inks
+ * @param {Array} palette - Entries from controller.getPalette()
+ */
+function lockPalette(palette) {
+    const inks = palette.filter(entry => !entry.excluded);
+    document.getElementById("colorClustering").value = 'kmeans';
+    document.getElementById("clusterCount").value = String(inks.length);
+    document.getElementById("lockedColors").value = inks.map(entry => ColorUtils.toHex(entry.color)).join(', ');
+    renderPalette(palette.map(entry => ({ ...entry, locked: !entry.excluded })));
+}
+
+/**
+ * Render the palette: one swatch per ink in print order, with a lock button
+ * Each row edits the color review (ink name, exclude, merge into another
+ * color), which is written back to the JSON field for the next run.
+ * @param {Array|null} palette - Entries {color, lightness, pixels, coverage, shades, spread, locked, name, excluded}, or null to hide
+ */
+function renderPalette(palette) {
+    const container = document.getElementById("paletteTable");
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = '';
+    container.classList.toggle('active', !!palette);
+    if (!palette) {
+        return;
+    }
+
+    const field = document.getElementById("colorReview");
+    const review = ColorReview.fromJSON(field.value);
+    const update = (edit) => {
+        try {
+            edit();
+            field.value = review.isEmpty ? '' : JSON.stringify(review.toJSON(), null, 2);
+        } catch (error) {
+            app.showAlert(`Error: ${error.message}`);
+        }
+    };
+
+    palette.forEach(entry => {
+        const { r, g, b } = entry.color;
+        const hex = ColorUtils.toHex(entry.color);
+        const row = document.createElement('div');
+        row.className = 'trapper-legend-row';
+
+        const swatch = document.createElement('div');
+        swatch.className = 'trapper-legend-swatch';
+        swatch.style.backgroundColor = `rgb(${r}, ${g}, ${b})`;
+
+        const label = document.createElement('span');
+        const shadesNote = entry.shades > 1 ? `, ${entry.shades} shades, ΔE ${entry.spread.toFixed(1)}` : '';
+        const state = entry.substrate ? ', substrate' : (entry.garment ? ', garment' :
+            (entry.excluded ? ', excluded' : (entry.highlight ? ', highlight white' : (entry.locked ? ', locked' : ''))));
+        label.textContent = `${hex} ${entry.lightness}: ${entry.coverage.toFixed(1)}% ` +
+            `(${entry.pixels.toLocaleString()} px${shadesNote})${state}`;
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'trapper-ink-name';
+        name.placeholder = 'Ink name';
+        name.value = entry.name || '';
+        name.addEventListener('change', () => update(() => review.setName(hex, name.value)));
+
+        const exclude = document.createElement('input');
+        exclude.type = 'checkbox';
+        exclude.title = 'Exclude (knock out to open paper, not remapped to a plate)';
+        exclude.checked = entry.excluded;
+        // The substrate and garment settings, not the review, exclude those colors
+        exclude.disabled = entry.substrate || entry.garment;
+        exclude.addEventListener('change', () => update(() => review.setExcluded(hex, exclude.checked)));
+
+        const merge = document.createElement('select');
+        [['', 'Keep'], ...palette.filter(other => other !== entry && !other.excluded)
+            .map(other => [ColorUtils.toHex(other.color), `Merge into ${ColorUtils.toHex(other.color)}`])]
+            .forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                merge.appendChild(option);
+            });
+        merge.value = review.merges.get(hex) || '';
+        merge.addEventListener('change', () => update(() => (merge.value ? review.merge(hex, merge.value) : review.unmerge(hex))));
+
+        row.appendChild(swatch);
+        row.appendChild(label);
+        row.appendChild(name);
+        row.appendChild(exclude);
+        row.appendChild(merge);
+        container.appendChild(row);
+    });
+
+    if (!palette.every(entry => entry.locked || entry.excluded)) {
+        const lock = document.createElement('button');
+        lock.className = 'trapper-button secondary';
+        lock.textContent = `Lock These ${palette.length} Inks`;
+        lock.addEventListener('click', () => lockPalette(palette));
+        container.appendChild(lock);
     }
 }
 
+/**
+ * Estimate memory and time of a run with the current settings
+ * Reads document properties only, so the estimate is shown before any
+ * pixels are analyzed. Without k-means, the color limit is the plate count.
+ */
+async function showRunEstimate() {
+    const estimateText = document.getElementById("runEstimate");
+
+    try {
+        const mode = document.getElementById("printingMode").value;
+        const { trapCurve, trapList, trapType } = readTrapWidths();
+        const estimate = await controller.estimateRun({
+            sourceDocument: await controller.psApi.getActiveDocument(),
+            inputMode: document.getElementById("inputMode").value,
+            trapMatrix: readTrapMatrix(),
+            trapCurve,
+            trapList,
+            trapType,
+            ...readColorCleanup(),
+            ...readGarment(mode),
+            ...readUnderbase(mode),
+            ...readHighlight(mode),
+            mode,
+            minTrap: '0',
+            maxTrap: document.getElementById("trapSize").value,
+            memoryBudgetMB: parseFloat(document.getElementById("memoryBudget").value)
+        });
+
+        estimateText.textContent = `${estimate.width}x${estimate.height}, ${estimate.plates} plates: ${controller.describeEstimate(estimate)}`;
+    } catch (error) {
+        console.error('Estimate error:', error);
+        estimateText.textContent = `No estimate: ${error && error.message ? error.message : String(error)}`;
+    }
+}
+
+/**
+ * Render the trap width table: one row per layer in print order
+ * @param {Array|null} widths - Entries {color, lightness, trapInches, trapPixels}, or null to hide
+ */
+function renderTrapWidths(widths) {
+    const container = document.getElementById("trapWidthsTable");
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = '';
+    container.classList.toggle('active', !!widths);
+    if (!widths) {
+        return;
+    }
+
+    widths.forEach((entry, index) => {
+        const { r, g, b } = entry.color;
+        const row = document.createElement('div');
+        row.className = 'trapper-legend-row';
+
+        const swatch = document.createElement('div');
+        swatch.className = 'trapper-legend-swatch';
+        swatch.style.backgroundColor = `rgb(${r}, ${g}, ${b})`;
+
+        const label = document.createElement('span');
+        label.textContent = `${index + 1}. RGB(${r},${g},${b}) ${entry.lightness}: ` +
+            `${entry.trapInches.toFixed(4)}" (${TrapSizeParser.format(entry.trapInches, 'points')}) = ${entry.trapPixels}px`;
+
+        row.appendChild(swatch);
+        row.appendChild(label);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Remove the trap preview overlay and its legend
+ */
+async function clearPreview() {
+    try {
+        await controller.clearPreview();
+    } catch (error) {
+        console.error('Could not clear preview:', error);
+    }
+
+    const previewButton = document.getElementById("previewButton");
+    if (previewButton) {
+        previewButton.textContent = 'Preview Trap Areas';
+    }
+    renderPreviewLegend(null);
+    renderTrapMatrix(null);
+}
+
+/**
+ * Read the optional print order from the dialog
+ * @returns {Array|null} - Hex colors, first printed first, or null for lightness order
+ */
+function readPrintOrder() {
+    const entries = document.getElementById("printOrder").value
+        .split(/[\s,;]+/)
+        .filter(entry => entry.length > 0);
+
+    // Fail fast on typos instead of after the color analysis
+    entries.forEach(entry => ColorUtils.parseHex(entry));
+
+    return entries.length > 0 ? entries : null;
+}
+
+/**
+ * Read the color cleanup settings (clustering, color limit, review, anti-aliasing threshold) from the dialog
+ * @returns {Object} - {colorClustering, clusterTolerance, clusterCount, maxColors, lockedColors, colorReview, substrate, remapMetric, minColorPixels, minColorPercent}
+ */
+function readColorCleanup() {
+    const colorClustering = document.getElementById("colorClustering").value;
+    const clusterTolerance = parseFloat(document.getElementById("clusterTolerance").value);
+    const clusterCount = parseInt(document.getElementById("clusterCount").value, 10);
+    const maxColors = parseInt(document.getElementById("maxColors").value, 10);
+    const minColorPixels = parseFloat(document.getElementById("minColorPixels").value);
+    const minColorPercent = parseFloat(document.getElementById("minColorPercent").value);
+
+    if (colorClustering === 'tolerance' && !(clusterTolerance >= 0)) {
+        throw new Error('Cluster tolerance must be a ΔE of 0 or more');
+    }
+    if (!(maxColors >= 1 && maxColors <= TrapperController.MAX_COLORS_LIMIT)) {
+        throw new Error(`Color limit must be from 1 to ${TrapperController.MAX_COLORS_LIMIT}`);
+    }
+    if (colorClustering === 'kmeans' && !(clusterCount >= 1 && clusterCount <= maxColors)) {
+        throw new Error(`Number of inks must be from 1 to the color limit (${maxColors})`);
+    }
+
+    // Locked inks only apply to k-means; fail fast on typos instead of after the color analysis
+    const lockedColors = colorClustering === 'kmeans'
+        ? document.getElementById("lockedColors").value.split(/[\s,;]+/).filter(entry => entry.length > 0)
+        : [];
+    lockedColors.forEach(entry => ColorUtils.parseHex(entry));
+
+    // A picked substrate is a hex color; detection methods are passed as they are
+    let substrate = document.getElementById("substrate").value;
+    if (substrate === 'pick') {
+        substrate = ColorUtils.toHex(ColorUtils.parseHex(document.getElementById("substrateColor").value));
+    }
+    if (!(minColorPixels >= 0) || !(minColorPercent >= 0 && minColorPercent <= 100)) {
+        throw new Error('Minimum pixels must be 0 or more and minimum share between 0 and 100%');
+    }
+
+    return {
+        colorClustering,
+        clusterTolerance,
+        clusterCount,
+        maxColors,
+        lockedColors,
+        // Fail fast on invalid JSON instead of after the color analysis
+        colorReview: ColorReview.fromJSON(document.getElementById("colorReview").value),
+        substrate,
+        remapMetric: document.getElementById("remapMetric").value,
+        minColorPixels,
+        minColorPercent
+    };
+}
+
+/**
+ * Read the garment settings from the dialog
+ * @param {string} mode - Printing mode; the knockout only applies to 'screen'
+ * @returns {Object} - {garmentColor, garmentTolerance, garmentKnockout}
+ */
+function readGarment(mode) {
+    const garmentColor = document.getElementById("garmentColor").value.trim();
+    const garmentTolerance = parseInt(document.getElementById("garmentTolerance").value, 10);
+    const garmentKnockout = mode === 'screen' && document.getElementById("garmentKnockout").checked;
+
+    // Fail fast on typos instead of after the color analysis (the underbase uses the garment too)
+    if (mode === 'screen' && (garmentKnockout || document.getElementById("underbase").checked)) {
+        controller.parseGarment({ garmentColor, garmentTolerance });
+    }
+
+    return { garmentColor, garmentTolerance, garmentKnockout };
+}
+
+/**
+ * Read the underbase settings from the dialog
+ * @param {string} mode - Printing mode; the underbase only applies to 'screen'
+ * @returns {Object} - {underbase, underbaseChoke, underbaseMode, underbaseDensities}
+ */
+function readUnderbase(mode) {
+    const underbase = mode === 'screen' && document.getElementById("underbase").checked;
+    const underbaseChoke = document.getElementById("underbaseChoke").value.trim() || '0';
+    const underbaseMode = document.getElementById("underbaseMode").value;
+    const underbaseDensities = document.getElementById("underbaseDensities").value.trim();
+
+    // Fail fast on typos instead of after the color analysis
+    if (underbase) {
+        TrapSizeParser.parse(underbaseChoke);
+        controller.parseUnderbaseDensities(underbaseDensities);
+    }
+
+    return { underbase, underbaseChoke, underbaseMode, underbaseDensities };
+}
+
+/**
+ * Read the highlight white settings from the dialog
+ * @param {string} mode - Printing mode; the highlight white only applies to 'screen'
+ * @returns {Object} - {highlightWhite, highlightThreshold, highlightColor, highlightAdjust, highlightWidth}
+ */
+function readHighlight(mode) {
+    const highlightWhite = mode === 'screen' && document.getElementById("highlightWhite").checked;
+    const highlightThreshold = parseFloat(document.getElementById("highlightThreshold").value);
+    const highlightColor = document.getElementById("highlightColor").value.trim() || null;
+    const highlightAdjust = document.getElementById("highlightAdjust").value;
+    const highlightWidth = document.getElementById("highlightWidth").value.trim() || '0';
+
+    // Fail fast on typos instead of after the color analysis
+    if (highlightWhite) {
+        if (highlightColor) {
+            ColorUtils.parseHex(highlightColor);
+        }
+        TrapSizeParser.parse(highlightWidth);
+    }
+
+    return { highlightWhite, highlightThreshold, highlightColor, highlightAdjust, highlightWidth };
+}
+
+/**
+ * Read the trap curve or explicit trap list, and the trap type, from the dialog
+ * @returns {Object} - {trapCurve, trapList, trapType}; trapList is null unless the curve is 'list'
+ */
+function readTrapWidths() {
+    const curve = document.getElementById("trapCurve").value;
+    const trapType = document.getElementById("trapType").value;
+    if (curve !== 'list') {
+        return { trapCurve: curve, trapList: null, trapType };
+    }
+
+    // Fail fast on typos instead of after the color analysis
+    const trapList = document.getElementById("trapList").value;
+    TrapSizeParser.parseTrapList(trapList);
+
+    return { trapCurve: 'linear', trapList, trapType };
+}
+
+/**
+ * Read the trap matrix from the dialog
+ * @returns {TrapMatrix|null} - Matrix (empty = all defaults), or null for linear traps
+ */
+function readTrapMatrix() {
+    if (document.getElementById("trapModel").value !== 'matrix') {
+        return null;
+    }
+
+    // Fail fast on invalid JSON instead of after the color analysis
+    return TrapMatrix.fromJSON(document.getElementById("trapMatrix").value);
+}
+
+/**
+ * Render the editable trap matrix: one row per color pair
+ * Edits are written back to the JSON field, which is what the next run uses.
+ * @param {Object|null} json - Matrix from the preview (defaults filled in), or null to hide
+ */
+function renderTrapMatrix(json) {
+    const container = document.getElementById("trapMatrixTable");
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = '';
+    container.classList.toggle('active', !!json);
+    if (!json) {
+        return;
+    }
+
+    const matrix = TrapMatrix.fromJSON(json);
+    const field = document.getElementById("trapMatrix");
+    field.value = JSON.stringify(matrix.toJSON(), null, 2);
+
+    matrix.toJSON().pairs.forEach(pair => {
+        const [a, b] = pair.colors;
+        const row = document.createElement('div');
+        row.className = 'trapper-legend-row';
+
+        [a, b].forEach(hex => {
+            const swatch = document.createElement('div');
+            swatch.className = 'trapper-legend-swatch';
+            swatch.style.backgroundColor = hex;
+            swatch.title = hex;
+            row.appendChild(swatch);
+        });
+
+        const direction = document.createElement('select');
+        [[a, `${a} under ${b}`], [b, `${b} under ${a}`], ['', 'No trap']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            direction.appendChild(option);
+        });
+        direction.value = pair.spreader || '';
+
+        const width = document.createElement('input');
+        width.type = 'text';
+        width.className = 'trapper-matrix-width';
+        width.value = TrapSizeParser.format(pair.width, 'points');
+
+        const update = () => {
+            try {
+                const inches = TrapSizeParser.parse(width.value);
+                if (direction.value) {
+                    matrix.setTrap(direction.value, direction.value === a ? b : a, inches);
+                } else {
+                    matrix.setNoTrap(a, b);
+                }
+                field.value = JSON.stringify(matrix.toJSON(), null, 2);
+            } catch (error) {
+                app.showAlert(`Error: ${error.message}`);
+            }
+        };
+        direction.addEventListener('change', update);
+        width.addEventListener('change', update);
+
+        row.appendChild(direction);
+        row.appendChild(width);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Move a color up or down the print order from the preview legend
+ * Writes the full sequence into the print order field for the next run.
+ * @param {Array} legend - Legend entries in print order
+ * @param {number} index - Entry to move
+ * @param {number} delta - -1 to print earlier, +1 to print later
+ */
+function movePrintOrderEntry(legend, index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= legend.length) {
+        return;
+    }
+
+    const reordered = [...legend];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+
+    document.getElementById("printOrder").value = reordered.map(entry => ColorUtils.toHex(entry.color)).join(', ');
+    renderPreviewLegend(reordered);
+}
+
+/**
+ * Render the preview legend: one swatch per color with the pixels it spreads
+ * Rows are in print order; the arrows reorder the print order field.
+ * @param {Array|null} legend - Entries {color, lightness, trapPixels, spreadPixels}, or null to hide
+ */
+function renderPreviewLegend(legend) {
+    const container = document.getElementById("previewLegend");
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = '';
+    container.classList.toggle('active', !!legend);
+    if (!legend) {
+        return;
+    }
+
+    legend.forEach((entry, index) => {
+        const { r, g, b } = entry.color;
+        const row = document.createElement('div');
+        row.className = 'trapper-legend-row';
+
+        const swatch = document.createElement('div');
+        swatch.className = 'trapper-legend-swatch';
+        swatch.style.backgroundColor = `rgb(${r}, ${g}, ${b})`;
+
+        const label = document.createElement('span');
+        const shadesNote = entry.shades > 1 ? `, ${entry.shades} shades merged` : '';
+        label.textContent = `${entry.name ? `${entry.name} ` : ''}RGB(${r},${g},${b}) ${entry.lightness}: ${entry.spreadPixels.toLocaleString()} px spread (trap ${entry.trapPixels}px${shadesNote})`;
+
+        const earlier = document.createElement('button');
+        earlier.className = 'trapper-legend-move';
+        earlier.textContent = '\u25B2';
+        earlier.title = 'Print earlier';
+        earlier.disabled = index === 0;
+        earlier.addEventListener('click', () => movePrintOrderEntry(legend, index, -1));
+
+        const later = document.createElement('button');
+        later.className = 'trapper-legend-move';
+        later.textContent = '\u25BC';
+        later.title = 'Print later';
+        later.disabled = index === legend.length - 1;
+        later.addEventListener('click', () => movePrintOrderEntry(legend, index, 1));
+
+        row.appendChild(earlier);
+        row.appendChild(later);
+        row.appendChild(swatch);
+        row.appendChild(label);
+        container.appendChild(row);
+    });
+}
+
 /**
  * Show progress indicator
  */
@@ -241,7 +1057,9 @@ function showProgress(message) {
     container.classList.add('active');
     text.textContent = message;
     applyButton.disabled = true;
-    cancelButton.disabled = true;
+    document.getElementById("previewButton").disabled = true;
+    // Cancel stays enabled so a running operation can be stopped
+    cancelButton.disabled = false;
 }
 
 /**
@@ -254,6 +1072,22 @@ function updateProgress(progress, message) {
     text.textContent = message;
 }
 
+/**
+ * Show that the operation was cancelled and re-enable the dialog
+ */
+function showCancelled() {
+    const fill = document.getElementById("progressFill");
+    const text = document.getElementById("progressText");
+    const applyButton = document.getElementById("applyButton");
+    const cancelButton = document.getElementById("cancelButton");
+
+    fill.style.width = '0%';
+    text.textContent = 'Cancelled';
+    applyButton.disabled = false;
+    cancelButton.disabled = false;
+    document.getElementById("previewButton").disabled = false;
+}
+
 /**
  * Hide progress indicator
  */
@@ -265,6 +1099,7 @@ function hideProgress() {
     container.classList.remove('active');
     applyButton.disabled = false;
     cancelButton.disabled = false;
+    document.getElementById("previewButton").disabled = false;
 }
 
 /**
@@ -380,7 +380,7 @@ async function applyTrapping(panel, controller) {
         controller.validateTrapSizes('0', trapSize);
 
         // Apply trapping
-        await controller.applyTrapping({
+        const result = await controller.applyTrapping({
             mode,
             minTrap: '0',
             maxTrap: trapSize,
@@ -406,8 +406,10 @@ async function applyTrapping(panel, controller) {
             }
         });
 
-        // Show success message
-        showStatus(panel, 'Trapping applied successfully!', 'success');
+        // Show success message, with the anti-aliasing pixels each plate took over
+        const remapped = (result && result.remapped || []).filter(entry => entry.pixels > 0);
+        const remapLines = remapped.map(({ color, pixels }) => `RGB(${color.r},${color.g},${color.b}): +${pixels} px remapped`);
+        showStatus(panel, ['Trapping applied successfully!', ...remapLines].join('\n'), 'success');
         hideProgress(panel);
     } catch (error) {
         // Show error message
@@ -422,7 +424,45 @@ async function applyTrapping(panel, controller) {
  * @param {TrapperController} controller - The controller instance
  */
 async function previewTrapping(panel, controller) {
-    showStatus(panel, 'Preview feature coming soon!', 'info');
+    const previewButton = panel.querySelector('#previewButton');
+
+    // Second click removes the overlay
+    if (controller.preview) {
+        await controller.clearPreview();
+        previewButton.textContent = 'Preview Trap Areas';
+        showStatus(panel, 'Preview removed', 'info');
+        return;
+    }
+
+    const mode = panel.querySelector('#printingMode').value;
+    const trapSize = panel.querySelector('#trapSize').value;
+
+    showProgress(panel, 'Building preview...');
+
+    try {
+        controller.validateTrapSizes('0', trapSize);
+
+        const { legend } = await controller.showPreview({
+            sourceDocument: app.activeDocument,
+            mode,
+            minTrap: '0',
+            maxTrap: trapSize,
+            onProgress: (progress, message) => {
+                updateProgress(panel, progress, message);
+            }
+        });
+
+        const lines = legend.map(entry => {
+            const { r, g, b } = entry.color;
+            return `${entry.name ? `${entry.name} ` : ''}RGB(${r},${g},${b}) ${entry.lightness}: ${entry.spreadPixels} px spread (trap ${entry.trapPixels}px)`;
+        });
+        showStatus(panel, `Trap preview:\n${lines.join('\n')}`, 'info');
+        previewButton.textContent = 'Hide Preview';
+        hideProgress(panel);
+    } catch (error) {
+        showStatus(panel, `Error: ${error.message}`, 'error');
+        hideProgress(panel);
+    }
 }
 
 /**
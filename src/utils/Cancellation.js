@@ -0,0 +1,53 @@
+/**
+ * Cancellation
+ * Cooperative cancellation for long-running trapping operations
+ */
+
+/**
+ * Error thrown when an operation is cancelled by the user
+ * Distinguishable from real failures so callers can roll back quietly
+ */
+class CancellationError extends Error {
+    constructor(message = 'Cancelled') {
+        super(message);
+        this.name = 'CancellationError';
+    }
+}
+
+class CancellationToken {
+    constructor() {
+        this.isCancelled = false;
+    }
+
+    /**
+     * Request cancellation; work stops at the next check
+     */
+    cancel() {
+        this.isCancelled = true;
+    }
+
+    /**
+     * Throw a CancellationError if cancellation was requested
+     * @throws {CancellationError} - If cancelled
+     */
+    throwIfCancelled() {
+        if (this.isCancelled) {
+            throw new CancellationError();
+        }
+    }
+
+    /**
+     * Check whether an error is a cancellation rather than a failure
+     * @param {Error} error - Caught error
+     * @returns {boolean} - True if the error came from a cancellation
+     */
+    static isCancellation(error) {
+        return error instanceof CancellationError || (!!error && error.name === 'CancellationError');
+    }
+}
+
+// Export for Node.js
+module.exports = {
+    CancellationError,
+    CancellationToken
+};
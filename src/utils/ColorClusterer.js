@@ -0,0 +1,286 @@
+/**
+ * Color Clusterer
+ * Merges near-duplicate colors (scans, JPEG noise) into representative ink colors
+ */
+
+const ColorUtils = require('./ColorUtils');
+
+// How near-duplicates are found: ΔE2000 tolerance, or k-means into a fixed number of inks
+const CLUSTER_METHODS = ['tolerance', 'kmeans'];
+
+// Default ΔE2000 within which two colors count as the same ink
+const DEFAULT_TOLERANCE = 5;
+
+// k-means stops after this many iterations if assignments still change
+const MAX_KMEANS_ITERATIONS = 20;
+
+class ColorClusterer {
+    /**
+     * Cluster colors with the given method
+     * @param {Array} colors - Colors {r, g, b, count}
+     * @param {Object} options - {method: 'tolerance'|'kmeans', tolerance, count, lockedColors, cancelToken}
+     * @returns {Array} - Clusters {r, g, b, count, members, spread}, most pixels first
+     */
+    static cluster(colors, options = {}) {
+        const method = options.method || 'tolerance';
+
+        if (method === 'tolerance') {
+            const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE;
+            return this.clusterByTolerance(colors, tolerance, options.cancelToken);
+        }
+
+        if (method === 'kmeans') {
+            return this.kMeans(colors, options.count, options.cancelToken, options.lockedColors);
+        }
+
+        throw new Error(`Unknown cluster method "${method}". Expected one of: ${CLUSTER_METHODS.join(', ')}`);
+    }
+
+    /**
+     * Merge colors within a ΔE2000 tolerance
+     * Most frequent colors come first and lead a cluster; every other color
+     * joins the first leader within the tolerance, or leads a new cluster.
+     * @param {Array} colors - Colors {r, g, b, count}
+     * @param {number} tolerance - Largest ΔE2000 from a cluster's leader
+     * @param {CancellationToken} cancelToken - Optional token, checked between colors
+     * @returns {Array} - Clusters {r, g, b, count, members, spread}, most pixels first
+     */
+    static clusterByTolerance(colors, tolerance = DEFAULT_TOLERANCE, cancelToken = null) {
+        if (!(tolerance >= 0)) {
+            throw new Error(`Cluster tolerance must be a non-negative ΔE, got ${tolerance}`);
+        }
+
+        const leaders = [];
+        const byCount = [...colors].sort((a, b) => b.count - a.count);
+
+        byCount.forEach((color, n) => {
+            if (cancelToken && (n & 0xff) === 0) cancelToken.throwIfCancelled();
+
+            const lab = ColorUtils.rgbToLab(color.r, color.g, color.b);
+            const leader = leaders.find(l => ColorUtils.deltaE2000(lab, l.lab) <= tolerance);
+
+            if (leader) {
+                leader.members.push(color);
+            } else {
+                leaders.push({ lab, members: [color] });
+            }
+        });
+
+        return this.sortClusters(leaders.map(leader => this.createCluster(leader.members)));
+    }
+
+    /**
+     * Group colors into count clusters with k-means in L*a*b*
+     * Locked colors are fixed centers: they keep their exact color and count
+     * towards count. The other centers start from the most frequent color (if
+     * nothing is locked) and the color farthest from all centers so far
+     * (deterministic), then follow the pixel-weighted means.
+     * @param {Array} colors - Colors {r, g, b, count}
+     * @param {number} count - Number of clusters (fewer if there are fewer colors)
+     * @param {CancellationToken} cancelToken - Optional token, checked every iteration
+     * @param {Array} lockedColors - Colors {r, g, b} that must be inks as they are
+     * @returns {Array} - Clusters {r, g, b, count, members, spread}, most pixels first; locked clusters have locked: true
+     */
+    static kMeans(colors, count, cancelToken = null, lockedColors = []) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`k-means needs a whole number of clusters >= 1, got ${count}`);
+        }
+
+        if (lockedColors.length > count) {
+            throw new Error(`${lockedColors.length} locked colors do not fit in ${count} cluster(s)`);
+        }
+
+        const points = colors.map(color => ({ color, lab: ColorUtils.rgbToLab(color.r, color.g, color.b) }));
+        if (points.length === 0) {
+            return [];
+        }
+
+        const locked = lockedColors.map(color => ColorUtils.rgbToLab(color.r, color.g, color.b));
+        const k = Math.max(locked.length, Math.min(count, points.length));
+        const centers = this.pickInitialCenters(points, k, locked);
+        const assignment = new Int32Array(points.length).fill(-1);
+
+        for (let iteration = 0; iteration < MAX_KMEANS_ITERATIONS; iteration++) {
+            if (cancelToken) cancelToken.throwIfCancelled();
+
+            let changed = false;
+            points.forEach((point, i) => {
+                const nearest = this.nearestCenter(point.lab, centers);
+                if (assignment[i] !== nearest) {
+                    assignment[i] = nearest;
+                    changed = true;
+                }
+            });
+
+            if (!changed) {
+                break;
+            }
+
+            centers.forEach((center, c) => {
+                if (c < locked.length) {
+                    return;
+                }
+                const members = points.filter((point, i) => assignment[i] === c);
+                if (members.length > 0) {
+                    centers[c] = this.weightedMeanLab(members);
+                }
+            });
+        }
+
+        const groups = centers.map(() => []);
+        points.forEach((point, i) => groups[assignment[i]].push(point.color));
+
+        const clusters = [];
+        groups.forEach((group, c) => {
+            if (group.length === 0) {
+                return;
+            }
+            if (c < locked.length) {
+                const { r, g, b } = lockedColors[c];
+                clusters.push({ ...this.createCluster(group, { r, g, b }), locked: true });
+            } else {
+                clusters.push(this.createCluster(group));
+            }
+        });
+
+        return this.sortClusters(clusters);
+    }
+
+    /**
+     * Farthest-first initial k-means centers
+     * @param {Array} points - {color, lab}
+     * @param {number} k - Number of centers (<= points.length + fixed.length)
+     * @param {Array} fixed - Centers {L, a, b} that come first (locked colors)
+     * @returns {Array} - Centers {L, a, b}
+     */
+    static pickInitialCenters(points, k, fixed = []) {
+        const centers = [...fixed];
+        if (centers.length === 0) {
+            centers.push(points.reduce((best, p) => (p.color.count > best.color.count ? p : best)).lab);
+        }
+        const distanceSq = points.map(p => Math.min(...centers.map(center => this.labDistanceSq(p.lab, center))));
+
+        while (centers.length < k) {
+            let farthest = 0;
+            for (let i = 1; i < points.length; i++) {
+                if (distanceSq[i] > distanceSq[farthest]) {
+                    farthest = i;
+                }
+            }
+
+            const center = points[farthest].lab;
+            centers.push(center);
+            points.forEach((p, i) => {
+                distanceSq[i] = Math.min(distanceSq[i], this.labDistanceSq(p.lab, center));
+            });
+        }
+
+        return centers;
+    }
+
+    /**
+     * Index of the nearest center (Euclidean in L*a*b*)
+     * @param {Object} lab - Color {L, a, b}
+     * @param {Array} centers - Centers {L, a, b}
+     * @returns {number} - Center index
+     */
+    static nearestCenter(lab, centers) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        centers.forEach((center, c) => {
+            const d = this.labDistanceSq(lab, center);
+            if (d < nearestDistance) {
+                nearest = c;
+                nearestDistance = d;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Squared Euclidean distance in L*a*b* (ΔE76 squared)
+     * @param {Object} p - Color {L, a, b}
+     * @param {Object} q - Color {L, a, b}
+     * @returns {number}
+     */
+    static labDistanceSq(p, q) {
+        return (p.L - q.L) ** 2 + (p.a - q.a) ** 2 + (p.b - q.b) ** 2;
+    }
+
+    /**
+     * Pixel-weighted mean of colors in L*a*b*
+     * @param {Array} points - {color, lab}
+     * @returns {Object} - Mean {L, a, b}
+     */
+    static weightedMeanLab(points) {
+        let total = 0;
+        const sum = { L: 0, a: 0, b: 0 };
+        for (const { color, lab } of points) {
+            const weight = color.count || 1;
+            total += weight;
+            sum.L += lab.L * weight;
+            sum.a += lab.a * weight;
+            sum.b += lab.b * weight;
+        }
+        return { L: sum.L / total, a: sum.a / total, b: sum.b / total };
+    }
+
+    /**
+     * Build a cluster from its member colors
+     * The representative ink color is the member nearest to the pixel-weighted
+     * mean, so it is a color that really occurs in the artwork, unless a
+     * (locked) ink color is given.
+     * @param {Array} members - Colors {r, g, b, count}
+     * @param {Object|null} inkColor - Representative color {r, g, b}, or null to pick a member
+     * @returns {Object} - {r, g, b, count, members, spread}; spread is the largest ΔE2000 of a member from the representative
+     */
+    static createCluster(members, inkColor = null) {
+        const points = members.map(color => ({ color, lab: ColorUtils.rgbToLab(color.r, color.g, color.b) }));
+        const representative = inkColor
+            ? { color: inkColor, lab: ColorUtils.rgbToLab(inkColor.r, inkColor.g, inkColor.b) }
+            : points[this.nearestCenter(this.weightedMeanLab(points), points.map(point => point.lab))];
+
+        let spread = 0;
+        for (const point of points) {
+            spread = Math.max(spread, ColorUtils.deltaE2000(point.lab, representative.lab));
+        }
+
+        const { r, g, b } = representative.color;
+        return {
+            r, g, b,
+            count: members.reduce((sum, color) => sum + color.count, 0),
+            members,
+            spread
+        };
+    }
+
+    /**
+     * Sort clusters by pixel count, largest first
+     * @param {Array} clusters - Clusters from createCluster()
+     * @returns {Array} - The same array, sorted
+     */
+    static sortClusters(clusters) {
+        return clusters.sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Map every member color to the index of its cluster
+     * @param {Array} clusters - Clusters, in plate order
+     * @returns {Map} - Packed 0xRRGGBB -> cluster index
+     */
+    static createMembership(clusters) {
+        const membership = new Map();
+        clusters.forEach((cluster, index) => {
+            for (const member of cluster.members || [cluster]) {
+                membership.set((member.r << 16) | (member.g << 8) | member.b, index);
+            }
+        });
+        return membership;
+    }
+}
+
+ColorClusterer.CLUSTER_METHODS = CLUSTER_METHODS;
+ColorClusterer.DEFAULT_TOLERANCE = DEFAULT_TOLERANCE;
+
+// Export for Node.js
+module.exports = ColorClusterer;
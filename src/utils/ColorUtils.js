@@ -0,0 +1,219 @@
+/**
+ * Color Utilities
+ * Perceptual color conversions (sRGB -> CIE XYZ / L*a*b*), color difference and ink density
+ */
+
+// D65 reference white (Y normalized to 1)
+const WHITE_X = 0.95047;
+const WHITE_Y = 1.0;
+const WHITE_Z = 1.08883;
+
+// Reflectance of a solid black ink: neutral density 1.7, the conventional
+// value for process black, instead of infinity for pure sRGB black
+const MIN_REFLECTANCE = Math.pow(10, -1.7);
+
+class ColorUtils {
+    /**
+     * Convert an 8-bit sRGB channel to linear light
+     * @param {number} value - Channel value (0-255)
+     * @returns {number} - Linear value (0-1)
+     */
+    static srgbToLinear(value) {
+        const c = value / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Convert sRGB to CIE XYZ (D65)
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {Object} - {x, y, z}, with y (luminance) in 0-1
+     */
+    static rgbToXyz(r, g, b) {
+        const lr = this.srgbToLinear(r);
+        const lg = this.srgbToLinear(g);
+        const lb = this.srgbToLinear(b);
+
+        return {
+            x: 0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb,
+            y: 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb,
+            z: 0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb
+        };
+    }
+
+    /**
+     * Convert sRGB to CIE L*a*b* (D65)
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {Object} - {L, a, b}, with L in 0-100
+     */
+    static rgbToLab(r, g, b) {
+        const { x, y, z } = this.rgbToXyz(r, g, b);
+        const fx = this.labF(x / WHITE_X);
+        const fy = this.labF(y / WHITE_Y);
+        const fz = this.labF(z / WHITE_Z);
+
+        return {
+            L: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    }
+
+    /**
+     * CIE L*a*b* companding function
+     * @param {number} t - Normalized tristimulus value
+     * @returns {number} - f(t)
+     */
+    static labF(t) {
+        const epsilon = 216 / 24389;
+        const kappa = 24389 / 27;
+        return t > epsilon ? Math.cbrt(t) : (kappa * t + 16) / 116;
+    }
+
+    /**
+     * CIEDE2000 color difference between two L*a*b* colors
+     * @param {Object} lab1 - First color {L, a, b}
+     * @param {Object} lab2 - Second color {L, a, b}
+     * @returns {number} - Delta E 2000 (about 1 = just noticeable)
+     */
+    static deltaE2000(lab1, lab2) {
+        const toDegrees = rad => rad * 180 / Math.PI;
+        const toRadians = deg => deg * Math.PI / 180;
+        const pow7 = v => Math.pow(v, 7);
+
+        // Chroma-dependent a* correction
+        const meanC = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+        const g = 0.5 * (1 - Math.sqrt(pow7(meanC) / (pow7(meanC) + pow7(25))));
+        const a1 = lab1.a * (1 + g);
+        const a2 = lab2.a * (1 + g);
+        const c1 = Math.hypot(a1, lab1.b);
+        const c2 = Math.hypot(a2, lab2.b);
+        const h1 = c1 === 0 ? 0 : (toDegrees(Math.atan2(lab1.b, a1)) + 360) % 360;
+        const h2 = c2 === 0 ? 0 : (toDegrees(Math.atan2(lab2.b, a2)) + 360) % 360;
+
+        // Differences in lightness, chroma and hue
+        const deltaL = lab2.L - lab1.L;
+        const deltaC = c2 - c1;
+        let deltaHue = 0;
+        if (c1 * c2 !== 0) {
+            deltaHue = h2 - h1;
+            if (deltaHue > 180) deltaHue -= 360;
+            else if (deltaHue < -180) deltaHue += 360;
+        }
+        const deltaH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltaHue / 2));
+
+        // Means
+        const meanL = (lab1.L + lab2.L) / 2;
+        const meanCPrime = (c1 + c2) / 2;
+        let meanH = h1 + h2;
+        if (c1 * c2 !== 0) {
+            if (Math.abs(h1 - h2) <= 180) meanH /= 2;
+            else meanH = h1 + h2 < 360 ? (meanH + 360) / 2 : (meanH - 360) / 2;
+        }
+
+        // Weighting functions and rotation term
+        const t = 1 - 0.17 * Math.cos(toRadians(meanH - 30)) + 0.24 * Math.cos(toRadians(2 * meanH)) +
+            0.32 * Math.cos(toRadians(3 * meanH + 6)) - 0.20 * Math.cos(toRadians(4 * meanH - 63));
+        const lOffset = (meanL - 50) * (meanL - 50);
+        const sL = 1 + (0.015 * lOffset) / Math.sqrt(20 + lOffset);
+        const sC = 1 + 0.045 * meanCPrime;
+        const sH = 1 + 0.015 * meanCPrime * t;
+        const rotation = 30 * Math.exp(-Math.pow((meanH - 275) / 25, 2));
+        const rC = 2 * Math.sqrt(pow7(meanCPrime) / (pow7(meanCPrime) + pow7(25)));
+        const rT = -Math.sin(toRadians(2 * rotation)) * rC;
+
+        return Math.sqrt(
+            Math.pow(deltaL / sL, 2) +
+            Math.pow(deltaC / sC, 2) +
+            Math.pow(deltaH / sH, 2) +
+            rT * (deltaC / sC) * (deltaH / sH)
+        );
+    }
+
+    /**
+     * Get CIE L* (perceptual lightness) of an sRGB color
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {number} - L* (0 = black, 100 = white)
+     */
+    static lightnessLab(r, g, b) {
+        return this.rgbToLab(r, g, b).L;
+    }
+
+    /**
+     * Estimate the neutral density of an ink printing as this sRGB color
+     * ND = -log10(Y), the density of the ink's luminance on white substrate
+     * (the model behind trap engines' default ink densities).
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {number} - Neutral density (0 = paper white, 1.7 = solid black)
+     */
+    static neutralDensity(r, g, b) {
+        const { y } = this.rgbToXyz(r, g, b);
+        return -Math.log10(Math.max(y, MIN_REFLECTANCE));
+    }
+
+    /**
+     * Estimate the density of an ink printing as this sRGB color
+     * A densitometer reads an ink through its complementary filter, the band
+     * it absorbs most: the density of the darkest linear channel. A saturated
+     * blue reads as dense as black, a yellow as dense as its blue channel.
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {number} - Ink density (0 = paper white, 1.7 = solid black)
+     */
+    static inkDensity(r, g, b) {
+        const reflectance = Math.min(this.srgbToLinear(r), this.srgbToLinear(g), this.srgbToLinear(b));
+        return -Math.log10(Math.max(reflectance, MIN_REFLECTANCE));
+    }
+
+    /**
+     * Parse a hex color
+     * @param {string} hex - "#RRGGBB", "RRGGBB" or short "#RGB"
+     * @returns {Object} - {r, g, b}
+     * @throws {Error} - If the string is not a hex color
+     */
+    static parseHex(hex) {
+        if (typeof hex !== 'string') {
+            throw new Error('Invalid hex color: not a string');
+        }
+
+        let digits = hex.trim().replace(/^#/, '');
+        if (/^[0-9a-f]{3}$/i.test(digits)) {
+            digits = digits.split('').map(d => d + d).join('');
+        }
+
+        if (!/^[0-9a-f]{6}$/i.test(digits)) {
+            throw new Error(`Invalid hex color: ${hex}. Use format like #FFD800`);
+        }
+
+        return {
+            r: parseInt(digits.substring(0, 2), 16),
+            g: parseInt(digits.substring(2, 4), 16),
+            b: parseInt(digits.substring(4, 6), 16)
+        };
+    }
+
+    /**
+     * Format a color as hex
+     * @param {Object} color - Color {r, g, b}
+     * @returns {string} - "#RRGGBB" (upper case)
+     */
+    static toHex(color) {
+        return '#' + [color.r, color.g, color.b]
+            .map(c => c.toString(16).padStart(2, '0'))
+            .join('')
+            .toUpperCase();
+    }
+}
+
+ColorUtils.MIN_REFLECTANCE = MIN_REFLECTANCE;
+
+// Export for Node.js
+module.exports = ColorUtils;
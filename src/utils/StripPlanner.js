@@ -0,0 +1,116 @@
+/**
+ * Strip Planner
+ * Splits a document into horizontal strips that fit a memory budget
+ */
+
+// Approximate working memory per pixel while a strip is processed:
+// RGBA read (4) + host copy of the read (4) + label map (1) + plate coverage (1)
+// + distance transform (4 + 4) + RGBA write (4) + headroom (2)
+const BYTES_PER_PIXEL = 24;
+
+// Default memory budget for strip processing
+const DEFAULT_MEMORY_BUDGET_MB = 512;
+
+// Rough processing time per pixel read: color analysis and label map, plus
+// the distance transform, trapping and pixel write of every plate. Fitted to
+// the timings in the README (about 20s for 12 megapixels with 6 colors).
+const ANALYSIS_SECONDS_PER_PIXEL = 1e-7;
+const PLATE_SECONDS_PER_PIXEL = 2.5e-7;
+
+class StripPlanner {
+    /**
+     * Plan full-width strips with overlapping read regions
+     * Each strip writes rows [top, bottom) but reads [readTop, readBottom),
+     * which extends at least overlapPixels beyond the written rows (clipped to
+     * the document). With overlap >= the largest trap width, trapping a strip
+     * gives the same pixels as trapping the whole image at once.
+     * @param {number} width - Document width in pixels
+     * @param {number} height - Document height in pixels
+     * @param {number} overlapPixels - Rows of context needed above and below
+     * @param {number} memoryBudgetMB - Peak working memory budget in megabytes
+     * @param {number} bytesPerPixel - Working memory per pixel (more when several layers are held at once)
+     * @returns {Array} - Strips {top, bottom, readTop, readBottom}
+     */
+    static planStrips(width, height, overlapPixels, memoryBudgetMB = DEFAULT_MEMORY_BUDGET_MB, bytesPerPixel = BYTES_PER_PIXEL) {
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error(`Invalid document size: ${width}x${height}`);
+        }
+
+        if (!(memoryBudgetMB > 0)) {
+            throw new Error(`Memory budget must be positive, got ${memoryBudgetMB}MB`);
+        }
+
+        const overlap = Math.max(0, Math.ceil(overlapPixels));
+        const budgetRows = Math.floor((memoryBudgetMB * 1024 * 1024) / (width * bytesPerPixel));
+
+        let stripRows = budgetRows - 2 * overlap;
+        if (budgetRows >= height) {
+            stripRows = height;
+        } else if (stripRows < 1) {
+            console.warn(`Memory budget ${memoryBudgetMB}MB is too small for ${overlap}px overlap at width ${width}, using 1-row strips`);
+            stripRows = 1;
+        }
+
+        const strips = [];
+        for (let top = 0; top < height; top += stripRows) {
+            const bottom = Math.min(height, top + stripRows);
+            strips.push({
+                top,
+                bottom,
+                readTop: Math.max(0, top - overlap),
+                readBottom: Math.min(height, bottom + overlap)
+            });
+        }
+
+        return strips;
+    }
+
+    /**
+     * Estimate peak working memory for one strip
+     * @param {number} width - Strip width in pixels
+     * @param {number} rows - Rows read for the strip (including overlap)
+     * @param {number} bytesPerPixel - Working memory per pixel
+     * @returns {number} - Estimated bytes
+     */
+    static estimateStripBytes(width, rows, bytesPerPixel = BYTES_PER_PIXEL) {
+        return width * rows * bytesPerPixel;
+    }
+
+    /**
+     * Estimate peak memory and processing time of a run before it starts
+     * Rows read twice because of strip overlap count twice, so wide traps on
+     * documents beyond the memory budget cost more time, not more memory.
+     * @param {number} width - Document width in pixels
+     * @param {number} height - Document height in pixels
+     * @param {number} plateCount - Number of plates (colors or layers)
+     * @param {number} overlapPixels - Widest trap in pixels
+     * @param {number} memoryBudgetMB - Peak working memory budget in megabytes
+     * @param {number} bytesPerPixel - Working memory per pixel
+     * @returns {Object} - {strips, peakBytes, seconds}; seconds is a rough guide, not a promise
+     */
+    static estimateRun(width, height, plateCount, overlapPixels, memoryBudgetMB = DEFAULT_MEMORY_BUDGET_MB, bytesPerPixel = BYTES_PER_PIXEL) {
+        const strips = this.planStrips(width, height, overlapPixels, memoryBudgetMB, bytesPerPixel);
+
+        let peakRows = 0;
+        let readRows = 0;
+        for (const strip of strips) {
+            peakRows = Math.max(peakRows, strip.readBottom - strip.readTop);
+            readRows += strip.readBottom - strip.readTop;
+        }
+
+        // Pass 1 reads every row once; pass 2 reads strips with their overlap
+        const seconds = width * (height * ANALYSIS_SECONDS_PER_PIXEL + readRows * plateCount * PLATE_SECONDS_PER_PIXEL);
+
+        return {
+            strips: strips.length,
+            peakBytes: this.estimateStripBytes(width, peakRows, bytesPerPixel),
+            seconds
+        };
+    }
+}
+
+StripPlanner.BYTES_PER_PIXEL = BYTES_PER_PIXEL;
+StripPlanner.DEFAULT_MEMORY_BUDGET_MB = DEFAULT_MEMORY_BUDGET_MB;
+
+// Export for Node.js
+module.exports = StripPlanner;
@@ -4,6 +4,12 @@
  * Ported from Java PsdColorSeparator.parseTrapSize()
  */
 
+// How trap width falls from maxTrap (first plate) to minTrap (last plate)
+const TRAP_CURVES = ['linear', 'easeIn', 'easeOut', 'stepped', 'density'];
+
+// Number of distinct widths the 'stepped' curve uses (max, halfway, min)
+const STEP_LEVELS = 3;
+
 class TrapSizeParser {
     /**
      * Parse a trap size specification
@@ -193,23 +199,101 @@ class TrapSizeParser {
     }
 
     /**
-     * Calculate trap size for a specific layer using linear interpolation
-     * @param {number} layerIndex - Index of the layer (0 = lightest)
+     * Validate a trap curve name
+     * @param {string} curve - Trap curve name
+     * @throws {Error} - If the curve is not one of TRAP_CURVES
+     */
+    static validateTrapCurve(curve) {
+        if (!TRAP_CURVES.includes(curve)) {
+            throw new Error(`Unknown trap curve: ${curve}. Use one of: ${TRAP_CURVES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Calculate trap size for a specific layer along a trap curve
+     * @param {number} layerIndex - Index of the layer in print order (0 = first printed, lightest by default)
      * @param {number} totalLayers - Total number of layers
      * @param {number} minTrap - Minimum trap size in inches
      * @param {number} maxTrap - Maximum trap size in inches
+     * @param {string} curve - One of TRAP_CURVES (default 'linear')
+     * @param {Array} densities - Neutral density per layer, required for 'density'
      * @returns {number} - Trap size for this layer in inches
      */
-    static calculateLayerTrap(layerIndex, totalLayers, minTrap, maxTrap) {
+    static calculateLayerTrap(layerIndex, totalLayers, minTrap, maxTrap, curve = 'linear', densities = null) {
+        this.validateTrapCurve(curve);
+
         if (totalLayers === 1) {
             return minTrap;
         }
 
-        // Linear interpolation from max (lightest) to min (darkest)
-        const t = layerIndex / (totalLayers - 1);
-        return maxTrap - (t * (maxTrap - minTrap));
+        // Position along the print order, 0 (first layer) to 1 (last layer)
+        let t = layerIndex / (totalLayers - 1);
+
+        if (curve === 'density') {
+            if (!densities || densities.length !== totalLayers) {
+                throw new Error(`The density trap curve needs one density per layer (${totalLayers})`);
+            }
+
+            // Lightest ink gets maxTrap, densest gets minTrap; equal inks fall back to linear
+            const lowest = Math.min(...densities);
+            const highest = Math.max(...densities);
+            if (highest > lowest) {
+                t = (densities[layerIndex] - lowest) / (highest - lowest);
+            }
+        }
+
+        return minTrap + this.curveFactor(t, curve) * (maxTrap - minTrap);
+    }
+
+    /**
+     * Share of the trap range kept at a position along the curve
+     * @param {number} t - Position, 0 (first layer) to 1 (last layer)
+     * @param {string} curve - One of TRAP_CURVES
+     * @returns {number} - 1 at t = 0 down to 0 at t = 1
+     */
+    static curveFactor(t, curve) {
+        switch (curve) {
+            case 'easeIn':
+                // Falls slowly at first, then quickly
+                return 1 - t * t;
+            case 'easeOut':
+                // Falls quickly at first, then slowly
+                return (1 - t) * (1 - t);
+            case 'stepped':
+                return Math.round((1 - t) * (STEP_LEVELS - 1)) / (STEP_LEVELS - 1);
+            default:
+                // 'linear', and 'density' once t is the density position
+                return 1 - t;
+        }
+    }
+
+    /**
+     * Parse an explicit list of trap sizes, one per plate in print order
+     * @param {string|Array} spec - Comma-separated sizes (e.g., "4pt,3pt,1.5pt,0") or an array of sizes
+     * @returns {Array} - Trap sizes in inches
+     * @throws {Error} - If the list is empty or an entry is invalid or negative
+     */
+    static parseTrapList(spec) {
+        const entries = Array.isArray(spec)
+            ? spec.map(String)
+            : String(spec || '').split(/[,;]/).map(entry => entry.trim()).filter(entry => entry.length > 0);
+
+        if (entries.length === 0) {
+            throw new Error('Trap list is empty. Use format like 4pt,3pt,1.5pt,0');
+        }
+
+        return entries.map(entry => {
+            const inches = this.parse(entry);
+            if (!(inches >= 0)) {
+                throw new Error(`Trap sizes must be non-negative: ${entry}`);
+            }
+            return inches;
+        });
     }
 }
 
+TrapSizeParser.TRAP_CURVES = TRAP_CURVES;
+TrapSizeParser.STEP_LEVELS = STEP_LEVELS;
+
 // Export for Node.js
 module.exports = TrapSizeParser;
\ No newline at end of file
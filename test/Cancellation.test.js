@@ -0,0 +1,54 @@
+/**
+ * Unit tests for Cancellation
+ */
+
+const { CancellationError, CancellationToken } = require('../src/utils/Cancellation');
+const TrappingEngine = require('../src/core/TrappingEngine');
+
+describe('Cancellation', () => {
+    describe('CancellationToken', () => {
+        test('does not throw until cancelled', () => {
+            const token = new CancellationToken();
+            expect(() => token.throwIfCancelled()).not.toThrow();
+
+            token.cancel();
+            expect(token.isCancelled).toBe(true);
+            expect(() => token.throwIfCancelled()).toThrow(CancellationError);
+        });
+
+        test('distinguishes cancellation from other errors', () => {
+            expect(CancellationToken.isCancellation(new CancellationError())).toBe(true);
+            expect(CancellationToken.isCancellation(new Error('Cancelled'))).toBe(false);
+            expect(CancellationToken.isCancellation(null)).toBe(false);
+
+            // Errors crossing module boundaries keep their name
+            const foreign = new Error('Cancelled');
+            foreign.name = 'CancellationError';
+            expect(CancellationToken.isCancellation(foreign)).toBe(true);
+        });
+
+        test('uses a "Cancelled" message', () => {
+            expect(new CancellationError().message).toBe('Cancelled');
+        });
+    });
+
+    describe('TrappingEngine', () => {
+        test('stops engine loops once cancelled', () => {
+            const token = new CancellationToken();
+            const engine = new TrappingEngine({ cancelToken: token });
+            const labels = new Uint8Array(16 * 16);
+            const covering = new Uint8Array(256);
+
+            expect(() => engine.trapLabelPlate(labels, 16, 16, 0, 3, covering)).not.toThrow();
+
+            token.cancel();
+            expect(() => engine.trapLabelPlate(labels, 16, 16, 0, 3, covering)).toThrow(CancellationError);
+            expect(() => engine.analyzeColors({ width: 4, height: 4, data: new Uint8ClampedArray(64) })).toThrow(CancellationError);
+        });
+
+        test('runs without a token', () => {
+            const engine = new TrappingEngine();
+            expect(() => engine.checkCancelled()).not.toThrow();
+        });
+    });
+});
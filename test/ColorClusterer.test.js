@@ -0,0 +1,117 @@
+/**
+ * Unit tests for ColorClusterer
+ */
+
+const ColorClusterer = require('../src/utils/ColorClusterer');
+const { CancellationToken } = require('../src/utils/Cancellation');
+
+/**
+ * Noisy shades around a base color, like a scanned or JPEG ink area
+ */
+function shades(base, count, pixels) {
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        const d = ((i + 1) % 3) - 1;
+        const e = ((Math.floor(i / 3) + 1) % 3) - 1;
+        colors.push({
+            r: Math.min(255, Math.max(0, base.r + d)),
+            g: Math.min(255, Math.max(0, base.g + e)),
+            b: base.b,
+            count: i === 0 ? pixels : 10
+        });
+    }
+    return colors;
+}
+
+const yellow = { r: 250, g: 210, b: 20 };
+const blue = { r: 20, g: 60, b: 160 };
+
+describe('ColorClusterer', () => {
+    describe('clusterByTolerance()', () => {
+        test('merges near-duplicates into one cluster per ink', () => {
+            const colors = [...shades(yellow, 9, 5000), ...shades(blue, 9, 3000)];
+
+            const clusters = ColorClusterer.clusterByTolerance(colors, 3);
+
+            expect(clusters).toHaveLength(2);
+            expect(clusters[0]).toMatchObject({ r: 250, g: 210, b: 20, count: 5080 });
+            expect(clusters[0].members).toHaveLength(9);
+            expect(clusters[1]).toMatchObject({ r: 20, g: 60, b: 160, count: 3080 });
+            expect(clusters[0].spread).toBeGreaterThan(0);
+            expect(clusters[0].spread).toBeLessThan(3);
+        });
+
+        test('keeps colors apart with tolerance 0', () => {
+            const colors = shades(yellow, 4, 100);
+
+            expect(ColorClusterer.clusterByTolerance(colors, 0)).toHaveLength(4);
+            expect(() => ColorClusterer.clusterByTolerance(colors, -1)).toThrow('non-negative');
+        });
+    });
+
+    describe('kMeans()', () => {
+        test('groups colors into the requested number of clusters', () => {
+            const colors = [...shades(yellow, 9, 5000), ...shades(blue, 9, 3000), { r: 0, g: 0, b: 0, count: 700 }];
+
+            const clusters = ColorClusterer.kMeans(colors, 3);
+
+            expect(clusters.map(c => c.count)).toEqual([5080, 3080, 700]);
+            expect(clusters[2]).toMatchObject({ r: 0, g: 0, b: 0, spread: 0 });
+        });
+
+        test('returns at most one cluster per color', () => {
+            expect(ColorClusterer.kMeans(shades(yellow, 2, 10), 5)).toHaveLength(2);
+            expect(() => ColorClusterer.kMeans(shades(yellow, 2, 10), 0)).toThrow('whole number');
+        });
+
+        test('keeps locked colors as exact inks', () => {
+            const colors = [...shades(yellow, 9, 5000), ...shades(blue, 9, 3000)];
+            const red = { r: 213, g: 43, b: 30 };
+
+            const clusters = ColorClusterer.kMeans(colors, 2, null, [{ r: 255, g: 215, b: 0 }, red]);
+
+            expect(clusters).toHaveLength(2);
+            expect(clusters[0]).toMatchObject({ r: 255, g: 215, b: 0, count: 5080, locked: true });
+            expect(clusters[1]).toMatchObject({ r: 213, g: 43, b: 30, count: 3080, locked: true });
+        });
+
+        test('adds free clusters next to locked colors', () => {
+            const colors = [...shades(yellow, 9, 5000), ...shades(blue, 9, 3000)];
+
+            const clusters = ColorClusterer.kMeans(colors, 2, null, [{ r: 0, g: 60, b: 170 }]);
+
+            expect(clusters[0]).toMatchObject({ r: 250, g: 210, b: 20, count: 5080 });
+            expect(clusters[0].locked).toBeUndefined();
+            expect(clusters[1]).toMatchObject({ r: 0, g: 60, b: 170, count: 3080, locked: true });
+            expect(() => ColorClusterer.kMeans(colors, 1, null, [yellow, blue])).toThrow('do not fit');
+        });
+
+        test('stops when cancelled', () => {
+            const token = new CancellationToken();
+            token.cancel();
+
+            expect(() => ColorClusterer.kMeans(shades(yellow, 9, 10), 2, token)).toThrow('Cancelled');
+        });
+    });
+
+    describe('cluster()', () => {
+        test('dispatches on the method', () => {
+            const colors = [...shades(yellow, 9, 5000), ...shades(blue, 9, 3000)];
+
+            expect(ColorClusterer.cluster(colors, { method: 'kmeans', count: 2 })).toHaveLength(2);
+            expect(ColorClusterer.cluster(colors)).toHaveLength(2);
+            expect(() => ColorClusterer.cluster(colors, { method: 'octree' })).toThrow('Unknown cluster method');
+        });
+    });
+
+    describe('createMembership()', () => {
+        test('maps every member to its cluster index', () => {
+            const clusters = ColorClusterer.clusterByTolerance([...shades(yellow, 3, 50), ...shades(blue, 3, 40)], 3);
+            const membership = ColorClusterer.createMembership(clusters);
+
+            expect(membership.size).toBe(6);
+            expect(membership.get((251 << 16) | (210 << 8) | 20)).toBe(0);
+            expect(membership.get((21 << 16) | (60 << 8) | 160)).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for ColorReview
+ */
+
+const ColorReview = require('../src/core/ColorReview');
+
+const yellow = { r: 255, g: 216, b: 0, count: 5000 };
+const paleYellow = { r: 255, g: 224, b: 40, count: 800 };
+const blue = { r: 0, g: 80, b: 160, count: 3000 };
+const white = { r: 255, g: 255, b: 255, count: 9000 };
+
+describe('ColorReview', () => {
+    describe('apply()', () => {
+        test('returns colors unchanged when empty', () => {
+            const review = new ColorReview();
+
+            expect(review.isEmpty).toBe(true);
+            expect(review.apply([yellow, blue])).toEqual({ colors: [yellow, blue], excluded: [] });
+        });
+
+        test('merges a color into the ink of another', () => {
+            const review = new ColorReview().merge('#FFE028', '#FFD800');
+
+            const { colors } = review.apply([yellow, blue, paleYellow]);
+
+            expect(colors).toHaveLength(2);
+            expect(colors[0]).toMatchObject({ r: 255, g: 216, b: 0, count: 5800 });
+            expect(colors[0].members).toEqual([yellow, paleYellow]);
+            expect(colors[0].spread).toBeGreaterThan(0);
+            expect(colors[1]).toBe(blue);
+        });
+
+        test('splits off excluded colors', () => {
+            const review = new ColorReview().setExcluded('#FFFFFF');
+
+            expect(review.apply([white, yellow])).toEqual({ colors: [yellow], excluded: [white] });
+        });
+
+        test('names inks, matching cluster members too', () => {
+            const cluster = { ...yellow, members: [yellow, paleYellow] };
+            const review = new ColorReview().setName('#FFE028', ' Process Yellow ').setName('#0050A0', 'PANTONE 2945 C');
+
+            const { colors } = review.apply([cluster, blue]);
+
+            expect(colors[0].name).toBe('Process Yellow');
+            expect(colors[1]).toEqual({ ...blue, name: 'PANTONE 2945 C' });
+            expect(blue.name).toBeUndefined();
+        });
+
+        test('ignores colors that are not in the document', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const review = new ColorReview().merge('#123456', '#FFD800').setExcluded('#654321');
+
+            expect(review.apply([yellow, blue])).toEqual({ colors: [yellow, blue], excluded: [] });
+            expect(console.warn).toHaveBeenCalled();
+            console.warn.mockRestore();
+        });
+    });
+
+    describe('editing', () => {
+        test('undoes merges, exclusions and names', () => {
+            const review = new ColorReview()
+                .merge('#FFE028', '#FFD800')
+                .setExcluded('#FFFFFF')
+                .setName('#0050A0', 'Blue');
+
+            review.unmerge('#FFE028').setExcluded('#FFFFFF', false).setName('#0050A0', '');
+
+            expect(review.isEmpty).toBe(true);
+        });
+
+        test('rejects merging a color into itself', () => {
+            expect(() => new ColorReview().merge('#FFD800', '#ffd800')).toThrow('cannot be merged into itself');
+        });
+    });
+
+    describe('toJSON() / fromJSON()', () => {
+        test('round-trips a review', () => {
+            const review = new ColorReview()
+                .merge('#FFE028', '#FFD800')
+                .setExcluded('#fff')
+                .setName('#0050A0', 'PANTONE 2945 C');
+
+            const json = review.toJSON();
+            expect(json).toEqual({
+                version: 1,
+                merge: [{ from: '#FFE028', into: '#FFD800' }],
+                exclude: ['#FFFFFF'],
+                names: { '#0050A0': 'PANTONE 2945 C' }
+            });
+            expect(ColorReview.fromJSON(JSON.stringify(json)).toJSON()).toEqual(json);
+        });
+
+        test('reads an empty string as an empty review', () => {
+            expect(ColorReview.fromJSON('  ').isEmpty).toBe(true);
+        });
+
+        test('throws for invalid input', () => {
+            expect(() => ColorReview.fromJSON('{')).toThrow('Invalid color review JSON');
+            expect(() => ColorReview.fromJSON({ version: 2 })).toThrow('Unsupported color review version');
+            expect(() => ColorReview.fromJSON({ merge: [{ from: '#FFD800' }] })).toThrow('expected {from, into}');
+            expect(() => ColorReview.fromJSON({ exclude: ['red'] })).toThrow('Invalid hex color');
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for ColorUtils
+ */
+
+const ColorUtils = require('../src/utils/ColorUtils');
+
+describe('ColorUtils', () => {
+    describe('rgbToLab()', () => {
+        test('converts reference colors', () => {
+            const white = ColorUtils.rgbToLab(255, 255, 255);
+            expect(white.L).toBeCloseTo(100, 2);
+            expect(white.a).toBeCloseTo(0, 2);
+            expect(white.b).toBeCloseTo(0, 2);
+
+            expect(ColorUtils.rgbToLab(0, 0, 0).L).toBeCloseTo(0, 5);
+
+            // sRGB red: L* 53.24, a* 80.09, b* 67.20
+            const red = ColorUtils.rgbToLab(255, 0, 0);
+            expect(red.L).toBeCloseTo(53.24, 1);
+            expect(red.a).toBeCloseTo(80.09, 1);
+            expect(red.b).toBeCloseTo(67.20, 1);
+        });
+
+        test('orders saturated blue against dark gray perceptually', () => {
+            // Rec.601 luma puts blue (29) darker than gray (70); L* does not
+            expect(ColorUtils.lightnessLab(0, 0, 255)).toBeGreaterThan(ColorUtils.lightnessLab(70, 70, 70));
+        });
+    });
+
+    describe('deltaE2000()', () => {
+        test('matches published CIEDE2000 test data', () => {
+            // Sharma, Wu & Dalal (2005) reference pairs
+            const pairs = [
+                [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+                [[50, 2.5, 0], [73, 25, -18], 27.1492],
+                [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+                [[90.8027, -2.0831, 1.4410], [91.1528, -1.6435, 0.0447], 1.4441]
+            ];
+
+            for (const [[L1, a1, b1], [L2, a2, b2], expected] of pairs) {
+                const lab1 = { L: L1, a: a1, b: b1 };
+                const lab2 = { L: L2, a: a2, b: b2 };
+                expect(ColorUtils.deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4);
+                expect(ColorUtils.deltaE2000(lab2, lab1)).toBeCloseTo(expected, 4);
+            }
+        });
+
+        test('is 0 for identical colors', () => {
+            const lab = ColorUtils.rgbToLab(12, 150, 200);
+            expect(ColorUtils.deltaE2000(lab, lab)).toBe(0);
+        });
+    });
+
+    describe('neutralDensity()', () => {
+        test('is 0 for white and 1.7 for solid black', () => {
+            expect(ColorUtils.neutralDensity(255, 255, 255)).toBeCloseTo(0, 5);
+            expect(ColorUtils.neutralDensity(0, 0, 0)).toBeCloseTo(1.7, 5);
+        });
+
+        test('rates yellow as a light ink and blue as a dense one', () => {
+            expect(ColorUtils.neutralDensity(255, 255, 0)).toBeLessThan(0.1);
+            expect(ColorUtils.neutralDensity(0, 0, 255)).toBeGreaterThan(1);
+        });
+    });
+
+    describe('inkDensity()', () => {
+        test('is 0 for white and 1.7 for solid black', () => {
+            expect(ColorUtils.inkDensity(255, 255, 255)).toBeCloseTo(0, 5);
+            expect(ColorUtils.inkDensity(0, 0, 0)).toBeCloseTo(1.7, 5);
+        });
+
+        test('reads each ink through the channel it absorbs most', () => {
+            expect(ColorUtils.inkDensity(255, 255, 0)).toBeCloseTo(1.7, 5);
+            expect(ColorUtils.inkDensity(0, 0, 255)).toBeCloseTo(1.7, 5);
+            expect(ColorUtils.inkDensity(255, 128, 255)).toBeCloseTo(ColorUtils.inkDensity(128, 128, 128), 5);
+        });
+    });
+
+    describe('parseHex() / toHex()', () => {
+        test('parses long and short hex colors', () => {
+            expect(ColorUtils.parseHex('#FFD800')).toEqual({ r: 255, g: 216, b: 0 });
+            expect(ColorUtils.parseHex(' 0050a0 ')).toEqual({ r: 0, g: 80, b: 160 });
+            expect(ColorUtils.parseHex('#fff')).toEqual({ r: 255, g: 255, b: 255 });
+        });
+
+        test('formats colors as upper-case hex', () => {
+            expect(ColorUtils.toHex({ r: 0, g: 80, b: 160 })).toBe('#0050A0');
+        });
+
+        test('throws for invalid input', () => {
+            expect(() => ColorUtils.parseHex('#12345')).toThrow('Invalid hex color');
+            expect(() => ColorUtils.parseHex('red')).toThrow('Invalid hex color');
+            expect(() => ColorUtils.parseHex(null)).toThrow('not a string');
+        });
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for StripPlanner
+ */
+
+const StripPlanner = require('../src/utils/StripPlanner');
+const TrappingEngine = require('../src/core/TrappingEngine');
+
+describe('StripPlanner', () => {
+    describe('planStrips()', () => {
+        test('uses a single strip when the document fits the budget', () => {
+            const strips = StripPlanner.planStrips(1000, 1000, 50, 512);
+            expect(strips).toEqual([{ top: 0, bottom: 1000, readTop: 0, readBottom: 1000 }]);
+        });
+
+        test('splits large documents into overlapping strips', () => {
+            // 1MB budget at width 1024 and 24 bytes/px allows 42 rows per read
+            const strips = StripPlanner.planStrips(1024, 100, 5, 1);
+
+            expect(strips[0]).toEqual({ top: 0, bottom: 32, readTop: 0, readBottom: 37 });
+            expect(strips[1]).toEqual({ top: 32, bottom: 64, readTop: 27, readBottom: 69 });
+            expect(strips[strips.length - 1].bottom).toBe(100);
+            expect(strips[strips.length - 1].readBottom).toBe(100);
+
+            // Written rows tile the document exactly once
+            for (let i = 1; i < strips.length; i++) {
+                expect(strips[i].top).toBe(strips[i - 1].bottom);
+            }
+        });
+
+        test('keeps every read within the memory budget', () => {
+            const budgetMB = 20;
+            const strips = StripPlanner.planStrips(3000, 5000, 40, budgetMB);
+            for (const strip of strips) {
+                const bytes = StripPlanner.estimateStripBytes(3000, strip.readBottom - strip.readTop);
+                expect(bytes).toBeLessThanOrEqual(budgetMB * 1024 * 1024);
+            }
+        });
+
+        test('plans shorter strips when more bytes per pixel are held', () => {
+            const bytesPerPixel = StripPlanner.BYTES_PER_PIXEL + 4 * 6;
+            const strips = StripPlanner.planStrips(3000, 5000, 40, 20, bytesPerPixel);
+            const defaultStrips = StripPlanner.planStrips(3000, 5000, 40, 20);
+
+            expect(strips.length).toBeGreaterThan(defaultStrips.length);
+            for (const strip of strips) {
+                const bytes = StripPlanner.estimateStripBytes(3000, strip.readBottom - strip.readTop, bytesPerPixel);
+                expect(bytes).toBeLessThanOrEqual(20 * 1024 * 1024);
+            }
+        });
+
+        test('falls back to 1-row strips when the overlap exceeds the budget', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const strips = StripPlanner.planStrips(10000, 10, 100, 1);
+            expect(strips).toHaveLength(10);
+            expect(strips[3]).toEqual({ top: 3, bottom: 4, readTop: 0, readBottom: 10 });
+            console.warn.mockRestore();
+        });
+
+        test('throws for invalid input', () => {
+            expect(() => StripPlanner.planStrips(0, 10, 0, 512)).toThrow('Invalid document size');
+            expect(() => StripPlanner.planStrips(10, 10, 0, 0)).toThrow('Memory budget');
+        });
+    });
+
+    describe('estimateRun()', () => {
+        test('estimates one strip of a document that fits the budget', () => {
+            const estimate = StripPlanner.estimateRun(4000, 3000, 6, 20, 512);
+
+            expect(estimate.strips).toBe(1);
+            expect(estimate.peakBytes).toBe(4000 * 3000 * StripPlanner.BYTES_PER_PIXEL);
+            expect(estimate.seconds).toBeCloseTo(19.2, 5);
+        });
+
+        test('grows with the number of plates', () => {
+            const six = StripPlanner.estimateRun(4000, 3000, 6, 20, 512);
+            const sixteen = StripPlanner.estimateRun(4000, 3000, 16, 20, 512);
+
+            expect(sixteen.seconds).toBeGreaterThan(2 * six.seconds);
+            expect(sixteen.peakBytes).toBe(six.peakBytes);
+        });
+
+        test('counts overlap rows of wide traps as extra time, within the memory budget', () => {
+            const narrow = StripPlanner.estimateRun(3000, 5000, 6, 10, 20);
+            const wide = StripPlanner.estimateRun(3000, 5000, 6, 100, 20);
+
+            expect(wide.strips).toBeGreaterThan(narrow.strips);
+            expect(wide.seconds).toBeGreaterThan(narrow.seconds);
+            expect(wide.peakBytes).toBeLessThanOrEqual(20 * 1024 * 1024);
+        });
+    });
+
+    describe('strip trapping', () => {
+        test('gives the same coverage as a whole-image run', () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            const engine = new TrappingEngine();
+            const width = 64;
+            const height = 60;
+            const radius = 4;
+            const labels = new Uint8Array(width * height);
+            let state = 11;
+            for (let i = 0; i < labels.length; i++) {
+                state = (state * 1103515245 + 12345) % 2147483648;
+                labels[i] = state % 3;
+            }
+            const covering = new Uint8Array(256);
+            covering[1] = 1;
+            covering[2] = 1;
+
+            const whole = engine.trapLabelPlate(labels, width, height, 0, radius, covering);
+
+            // ~0.04MB budget forces strips of a few rows
+            const strips = StripPlanner.planStrips(width, height, radius, 0.04);
+            expect(strips.length).toBeGreaterThan(3);
+
+            const stitched = new Uint8Array(width * height);
+            for (const strip of strips) {
+                const stripLabels = labels.subarray(strip.readTop * width, strip.readBottom * width);
+                const coverage = engine.trapLabelPlate(stripLabels, width, strip.readBottom - strip.readTop, 0, radius, covering);
+                stitched.set(
+                    coverage.subarray((strip.top - strip.readTop) * width, (strip.bottom - strip.readTop) * width),
+                    strip.top * width
+                );
+            }
+
+            expect(Array.from(stitched)).toEqual(Array.from(whole));
+            console.log.mockRestore();
+        });
+
+        test('matches a whole-image run when traps detour around walls across strip seams', () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const width = 24;
+            const height = 40;
+            const radius = 5;
+            const plateIndex = 2;
+            const wall = 3;
+
+            // Labels 0 and 1 are covered (1 in thin random bits, fine features for chokes),
+            // 3 is a wall nothing spreads into; plate 2 traps over 0 and 1
+            const labels = new Uint8Array(width * height);
+            let state = 5;
+            for (let i = 0; i < labels.length; i++) {
+                state = (state * 1103515245 + 12345) % 2147483648;
+                labels[i] = state % 100 < 15 ? 1 : 0;
+            }
+            // Plate pixels walled in on three sides, open at the top: the trap leaves the
+            // pocket upwards and comes down again outside it, twice the trap width away
+            for (const x of [4, 12, 20]) {
+                for (let y = 17; y < 26; y++) {
+                    labels[y * width + x - 1] = wall;
+                    labels[y * width + x + 1] = wall;
+                }
+                labels[20 * width + x] = plateIndex;
+                labels[21 * width + x] = wall;
+            }
+            const radii = new Float32Array(256);
+            radii[0] = radius;
+            radii[1] = radius;
+
+            const trap = (engine, stripLabels, rows) => {
+                const fine = engine.trapType === 'spread' ? null : engine.createFineFeatureMask(stripLabels, width, rows, radii);
+                return engine.trapLabelPlateByRadius(stripLabels, width, rows, plateIndex, radii, fine);
+            };
+
+            for (const trapShape of ['round', 'diamond']) {
+                for (const trapType of ['spread', 'choke']) {
+                    const engine = new TrappingEngine({ trapShape, trapType });
+                    const whole = trap(engine, labels, height);
+
+                    // A tiny budget gives 1-row strips, each reading only the overlap around its row
+                    const strips = StripPlanner.planStrips(width, height, engine.getTrapOverlap(radius), 0.001);
+                    expect(strips.length).toBe(height);
+
+                    const stitched = new Uint8Array(width * height);
+                    for (const strip of strips) {
+                        const coverage = trap(engine, labels.subarray(strip.readTop * width, strip.readBottom * width), strip.readBottom - strip.readTop);
+                        stitched.set(
+                            coverage.subarray((strip.top - strip.readTop) * width, (strip.bottom - strip.readTop) * width),
+                            strip.top * width
+                        );
+                    }
+
+                    expect(Array.from(stitched)).toEqual(Array.from(whole));
+                }
+            }
+            console.warn.mockRestore();
+            console.log.mockRestore();
+        });
+    });
+});
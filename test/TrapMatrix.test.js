@@ -0,0 +1,107 @@
+/**
+ * Unit tests for TrapMatrix
+ */
+
+const TrapMatrix = require('../src/core/TrapMatrix');
+
+const yellow = { r: 255, g: 216, b: 0 };
+const blue = { r: 0, g: 80, b: 160 };
+const black = { r: 0, g: 0, b: 0 };
+
+describe('TrapMatrix', () => {
+    describe('pairs', () => {
+        test('stores one direction and width per unordered pair', () => {
+            const matrix = new TrapMatrix().setTrap('#ffd800', blue, 1 / 32);
+
+            expect(matrix.size).toBe(1);
+            expect(matrix.getTrap(blue, yellow)).toEqual({ spreader: '#FFD800', width: 1 / 32 });
+            expect(matrix.getSpread(yellow, blue)).toBe(1 / 32);
+            expect(matrix.getSpread(blue, yellow)).toBe(0);
+
+            matrix.setTrap(blue, yellow, 1 / 64);
+            expect(matrix.size).toBe(1);
+            expect(matrix.getSpread(yellow, blue)).toBe(0);
+            expect(matrix.getSpread(blue, yellow)).toBe(1 / 64);
+        });
+
+        test('setNoTrap() blocks both directions', () => {
+            const matrix = new TrapMatrix().setNoTrap(yellow, blue);
+
+            expect(matrix.getTrap(yellow, blue)).toEqual({ spreader: null, width: 0 });
+            expect(matrix.getSpread(yellow, blue)).toBe(0);
+            expect(matrix.getSpread(blue, yellow)).toBe(0);
+        });
+
+        test('rejects invalid traps', () => {
+            const matrix = new TrapMatrix();
+
+            expect(() => matrix.setTrap(yellow, '#FFD800', 0.01)).toThrow('cannot trap under itself');
+            expect(() => matrix.setTrap(yellow, blue, -1)).toThrow('non-negative');
+            expect(() => matrix.setTrap('#XYZ', blue, 0.01)).toThrow('Invalid hex color');
+        });
+    });
+
+    describe('defaults', () => {
+        test('widen with the density difference', () => {
+            const max = 1 / 32;
+
+            expect(TrapMatrix.defaultWidth(yellow, { r: 250, g: 210, b: 0 }, max)).toBe(0);
+            expect(TrapMatrix.defaultWidth(yellow, black, max)).toBeCloseTo(max, 10);
+
+            const partial = TrapMatrix.defaultWidth(yellow, blue, max);
+            expect(partial).toBeGreaterThan(0);
+            expect(partial).toBeLessThan(TrapMatrix.defaultWidth(yellow, black, max));
+        });
+
+        test('earlier colors spread under later ones', () => {
+            const matrix = TrapMatrix.createDefault([yellow, blue, black], 1 / 32);
+
+            expect(matrix.size).toBe(3);
+            expect(matrix.getSpread(yellow, black)).toBeGreaterThan(0);
+            expect(matrix.getSpread(black, yellow)).toBe(0);
+            expect(matrix.getTrap(blue, black).spreader).toBe('#0050A0');
+        });
+
+        test('withDefaults() keeps explicit pairs', () => {
+            const matrix = new TrapMatrix().setTrap(black, yellow, 0.02).withDefaults([yellow, blue, black], 1 / 32);
+
+            expect(matrix.size).toBe(3);
+            expect(matrix.getSpread(black, yellow)).toBe(0.02);
+            expect(matrix.getSpread(yellow, blue)).toBeGreaterThan(0);
+        });
+    });
+
+    describe('JSON', () => {
+        test('round-trips through JSON', () => {
+            const matrix = new TrapMatrix()
+                .setTrap(yellow, blue, 1 / 32)
+                .setNoTrap(blue, black);
+
+            const restored = TrapMatrix.fromJSON(JSON.stringify(matrix));
+
+            expect(restored.toJSON()).toEqual(matrix.toJSON());
+            expect(restored.toJSON().version).toBe(1);
+        });
+
+        test('accepts trap size strings as widths', () => {
+            const matrix = TrapMatrix.fromJSON({
+                pairs: [{ colors: ['#FFD800', '#0050A0'], spreader: '#0050a0', width: '4pt' }]
+            });
+
+            expect(matrix.getSpread(blue, yellow)).toBeCloseTo(4 / 72, 10);
+        });
+
+        test('treats an empty string as an empty matrix', () => {
+            expect(TrapMatrix.fromJSON('').size).toBe(0);
+        });
+
+        test('rejects malformed matrices', () => {
+            expect(() => TrapMatrix.fromJSON('{')).toThrow('Invalid trap matrix JSON');
+            expect(() => TrapMatrix.fromJSON({ version: 2, pairs: [] })).toThrow('Unsupported trap matrix version');
+            expect(() => TrapMatrix.fromJSON({ pairs: [{ colors: ['#FFD800'] }] })).toThrow('must list 2 colors');
+            expect(() => TrapMatrix.fromJSON({
+                pairs: [{ colors: ['#FFD800', '#0050A0'], spreader: '#000000', width: 0.01 }]
+            })).toThrow('is not one of its colors');
+        });
+    });
+});
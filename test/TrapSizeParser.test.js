@@ -82,6 +82,63 @@ describe('TrapSizeParser', () => {
         test('handles single layer', () => {
             expect(TrapSizeParser.calculateLayerTrap(0, 1, 0, 0.03125)).toBe(0);
         });
+
+        test('follows ease-in and ease-out curves', () => {
+            const max = 0.04;
+            const linear = TrapSizeParser.calculateLayerTrap(1, 3, 0, max);
+            const easeIn = TrapSizeParser.calculateLayerTrap(1, 3, 0, max, 'easeIn');
+            const easeOut = TrapSizeParser.calculateLayerTrap(1, 3, 0, max, 'easeOut');
+
+            expect(easeIn).toBeCloseTo(0.03, 10);
+            expect(easeOut).toBeCloseTo(0.01, 10);
+            expect(easeIn).toBeGreaterThan(linear);
+            expect(easeOut).toBeLessThan(linear);
+
+            for (const curve of ['easeIn', 'easeOut', 'stepped']) {
+                expect(TrapSizeParser.calculateLayerTrap(0, 5, 0, max, curve)).toBeCloseTo(max, 10);
+                expect(TrapSizeParser.calculateLayerTrap(4, 5, 0, max, curve)).toBeCloseTo(0, 10);
+            }
+        });
+
+        test('steps between full, half and no trap', () => {
+            const widths = [0, 1, 2, 3, 4, 5].map(i => TrapSizeParser.calculateLayerTrap(i, 6, 0, 0.04, 'stepped'));
+
+            expect(widths).toEqual([0.04, 0.04, 0.02, 0.02, 0, 0]);
+        });
+
+        test('scales with ink density', () => {
+            const densities = [0.1, 1.0, 1.7];
+            const widths = [0, 1, 2].map(i => TrapSizeParser.calculateLayerTrap(i, 3, 0, 0.04, 'density', densities));
+
+            expect(widths[0]).toBeCloseTo(0.04, 10);
+            expect(widths[1]).toBeCloseTo(0.04 * 0.7 / 1.6, 10);
+            expect(widths[2]).toBeCloseTo(0, 10);
+            expect(() => TrapSizeParser.calculateLayerTrap(0, 3, 0, 0.04, 'density')).toThrow('one density per layer');
+        });
+
+        test('throws for unknown curves', () => {
+            expect(() => TrapSizeParser.calculateLayerTrap(0, 3, 0, 0.04, 'cubic')).toThrow('Unknown trap curve');
+            expect(() => TrapSizeParser.validateTrapCurve('cubic')).toThrow('Unknown trap curve: cubic. Use one of: linear, easeIn');
+            expect(() => TrapSizeParser.validateTrapCurve('easeOut')).not.toThrow();
+        });
+    });
+
+    describe('parseTrapList()', () => {
+        test('parses one size per plate', () => {
+            const widths = TrapSizeParser.parseTrapList('4pt, 3pt,1.5pt, 0');
+
+            expect(widths).toHaveLength(4);
+            expect(widths[0]).toBeCloseTo(4 / 72, 10);
+            expect(widths[2]).toBeCloseTo(1.5 / 72, 10);
+            expect(widths[3]).toBe(0);
+            expect(TrapSizeParser.parseTrapList(['1/32', '0'])).toEqual([0.03125, 0]);
+        });
+
+        test('throws for empty lists and invalid entries', () => {
+            expect(() => TrapSizeParser.parseTrapList(' , ')).toThrow('Trap list is empty');
+            expect(() => TrapSizeParser.parseTrapList('4pt, abc')).toThrow('Invalid decimal format');
+            expect(() => TrapSizeParser.parseTrapList('4pt, -0.01')).toThrow('non-negative');
+        });
     });
 
     describe('getRecommendedSizes()', () => {
@@ -0,0 +1,858 @@
+/**
+ * Unit tests for TrappingEngine
+ */
+
+const TrappingEngine = require('../src/core/TrappingEngine');
+
+/**
+ * Build a transparent RGBA image with the given opaque pixels
+ */
+function makeImage(width, height, pixels = [], color = { r: 200, g: 100, b: 50 }) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (const [x, y] of pixels) {
+        const idx = (y * width + x) * 4;
+        data[idx] = color.r;
+        data[idx + 1] = color.g;
+        data[idx + 2] = color.b;
+        data[idx + 3] = 255;
+    }
+    return { width, height, data };
+}
+
+/**
+ * Build a mask that is opaque (expansion allowed) everywhere
+ */
+function makeOpenMask(width, height) {
+    return { width, height, data: new Uint8ClampedArray(width * height * 4).fill(255) };
+}
+
+/**
+ * Deterministic pseudo-random generator so failures are reproducible
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+/**
+ * Reference masked disc dilation: from every source pixel, flood-fill the
+ * 4-connected pixels of its disc that the mask allows
+ */
+function referenceDiscDilation(image, radius, mask) {
+    const { width, height, data } = image;
+    const result = new Uint8ClampedArray(data);
+    const allowed = i => data[i * 4 + 3] === 0 && !(mask && mask.data[i * 4 + 3] === 0);
+
+    for (let source = 0; source < width * height; source++) {
+        if (data[source * 4 + 3] === 0) continue;
+        const sx = source % width;
+        const sy = Math.floor(source / width);
+        const seen = new Set([source]);
+        const queue = [source];
+        while (queue.length > 0) {
+            const i = queue.pop();
+            const x = i % width;
+            const y = Math.floor(i / width);
+            for (const [nx, ny] of [[x, y - 1], [x + 1, y], [x, y + 1], [x - 1, y]]) {
+                const j = ny * width + nx;
+                if (nx < 0 || nx >= width || ny < 0 || ny >= height || seen.has(j)) continue;
+                if (!allowed(j) || (nx - sx) ** 2 + (ny - sy) ** 2 > radius * radius) continue;
+                seen.add(j);
+                queue.push(j);
+                if (result[j * 4 + 3] === 0) result.set(data.subarray(source * 4, source * 4 + 4), j * 4);
+            }
+        }
+    }
+    return result;
+}
+
+function isOpaque(image, x, y) {
+    return image.data[(y * image.width + x) * 4 + 3] > 0;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('TrappingEngine', () => {
+    describe('applyDilationWithMask()', () => {
+        test('uses round dilation by default', () => {
+            expect(new TrappingEngine().trapShape).toBe('round');
+        });
+
+        test('round dilation reaches the full radius along diagonals', () => {
+            const engine = new TrappingEngine();
+            const image = makeImage(41, 41, [[20, 20]]);
+            const result = engine.applyDilationWithMask(image, 12, makeOpenMask(41, 41));
+
+            // (8,8) offset is ~11.3px away: inside a 12px disc, outside a 12px diamond
+            expect(isOpaque(result, 28, 28)).toBe(true);
+            expect(isOpaque(result, 32, 20)).toBe(true);
+            expect(isOpaque(result, 33, 20)).toBe(false);
+            // (9,9) offset is ~12.7px away: outside the disc
+            expect(isOpaque(result, 29, 29)).toBe(false);
+        });
+
+        test('diamond dilation keeps the legacy 4-connected shape', () => {
+            const engine = new TrappingEngine({ trapShape: 'diamond' });
+            const image = makeImage(41, 41, [[20, 20]]);
+            const result = engine.applyDilationWithMask(image, 12, makeOpenMask(41, 41));
+
+            expect(isOpaque(result, 26, 26)).toBe(true);
+            expect(isOpaque(result, 28, 28)).toBe(false);
+        });
+
+        test('does not expand into transparent mask pixels', () => {
+            const engine = new TrappingEngine();
+            const image = makeImage(10, 1, [[0, 0]]);
+            const mask = makeOpenMask(10, 1);
+            mask.data[3 * 4 + 3] = 0;
+
+            const result = engine.applyDilationWithMask(image, 5, mask);
+
+            expect(isOpaque(result, 2, 0)).toBe(true);
+            expect(isOpaque(result, 3, 0)).toBe(false);
+            expect(isOpaque(result, 6, 0)).toBe(false);
+        });
+
+        test('copies the colour of the nearest source pixel', () => {
+            const engine = new TrappingEngine();
+            const image = makeImage(9, 1, [[0, 0]], { r: 255, g: 0, b: 0 });
+            const blue = makeImage(9, 1, [[8, 0]], { r: 0, g: 0, b: 255 });
+            image.data.set(blue.data.subarray(8 * 4, 9 * 4), 8 * 4);
+
+            const result = engine.applyDilationWithMask(image, 4, makeOpenMask(9, 1));
+
+            expect(Array.from(result.data.subarray(3 * 4, 4 * 4))).toEqual([255, 0, 0, 255]);
+            expect(Array.from(result.data.subarray(5 * 4, 6 * 4))).toEqual([0, 0, 255, 255]);
+        });
+
+        test('does not jump over blocked pixels', () => {
+            const engine = new TrappingEngine();
+            // Source in the corner, a blocked column at x = 2 with a gap in the bottom row
+            const image = makeImage(7, 7, [[0, 0]]);
+            const mask = makeOpenMask(7, 7);
+            for (let y = 0; y < 6; y++) {
+                mask.data[(y * 7 + 2) * 4 + 3] = 0;
+            }
+
+            const short = engine.applyDilationWithMask(image, 4, mask);
+            expect(isOpaque(short, 1, 3)).toBe(true);
+            // (3,0) is 3px away in a straight line, but only reachable through the gap
+            expect(isOpaque(short, 3, 0)).toBe(false);
+            expect(isOpaque(short, 3, 6)).toBe(false);
+
+            const long = engine.applyDilationWithMask(image, 7, mask);
+            expect(isOpaque(long, 2, 6)).toBe(true);
+            expect(isOpaque(long, 3, 0)).toBe(true);
+        });
+
+        test('stays within a brute-force masked disc dilation', () => {
+            const engine = new TrappingEngine();
+            const random = seededRandom(42);
+            const width = 37;
+            const height = 23;
+
+            for (let run = 0; run < 5; run++) {
+                const pixels = [];
+                const mask = makeOpenMask(width, height);
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        if (random() < 0.03) pixels.push([x, y]);
+                        if (random() < 0.3) mask.data[(y * width + x) * 4 + 3] = 0;
+                    }
+                }
+                const image = makeImage(width, height, pixels);
+                const radius = 1 + run * 3;
+
+                // Exact without blocked pixels, never more than the reachable discs with them
+                const open = engine.applyDilationWithMask(image, radius, makeOpenMask(width, height));
+                expect(Array.from(open.data)).toEqual(Array.from(referenceDiscDilation(image, radius, null)));
+
+                const result = engine.applyDilationWithMask(image, radius, mask);
+                const reference = referenceDiscDilation(image, radius, mask);
+                for (let i = 3; i < reference.length; i += 4) {
+                    if (result.data[i] > 0) expect(reference[i]).toBe(255);
+                }
+            }
+        });
+
+        test('matches the pixel-by-pixel diamond dilation for a 1px trap', () => {
+            const round = new TrappingEngine();
+            const diamond = new TrappingEngine({ trapShape: 'diamond' });
+            const random = seededRandom(7);
+            const width = 31;
+            const height = 19;
+
+            for (let run = 0; run < 4; run++) {
+                const pixels = [];
+                const mask = makeOpenMask(width, height);
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        if (random() < 0.1) pixels.push([x, y]);
+                        if (random() < 0.4) mask.data[(y * width + x) * 4 + 3] = 0;
+                    }
+                }
+                const image = makeImage(width, height, pixels);
+
+                expect(Array.from(round.applyDilationWithMask(image, 1, mask).data))
+                    .toEqual(Array.from(diamond.applyDilationWithMask(image, 1, mask).data));
+            }
+        });
+
+        test('covers the diamond dilation when pixels inside the radius are blocked', () => {
+            const round = new TrappingEngine();
+            const diamond = new TrappingEngine({ trapShape: 'diamond' });
+            const random = seededRandom(11);
+            const width = 31;
+            const height = 19;
+
+            for (let radius = 2; radius <= 8; radius += 2) {
+                const pixels = [];
+                const mask = makeOpenMask(width, height);
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        if (random() < 0.03) pixels.push([x, y]);
+                        if (random() < 0.35) mask.data[(y * width + x) * 4 + 3] = 0;
+                    }
+                }
+                const image = makeImage(width, height, pixels);
+
+                // The diamond's 4-connected paths are never longer than their Euclidean reach;
+                // the round trap fills nothing the reachable discs do not cover
+                const roundResult = round.applyDilationWithMask(image, radius, mask);
+                const diamondResult = diamond.applyDilationWithMask(image, radius, mask);
+                const reference = referenceDiscDilation(image, radius, mask);
+                for (let i = 3; i < reference.length; i += 4) {
+                    if (diamondResult.data[i] > 0) expect(roundResult.data[i]).toBe(255);
+                    if (roundResult.data[i] > 0) expect(reference[i]).toBe(255);
+                }
+            }
+        });
+
+        test('returns source unchanged for zero radius', () => {
+            const engine = new TrappingEngine();
+            const image = makeImage(3, 3, [[1, 1]]);
+            expect(engine.applyDilationWithMask(image, 0, null)).toBe(image);
+        });
+    });
+
+    describe('lightness models', () => {
+        const blue = { r: 0, g: 0, b: 255 };
+        const gray = { r: 70, g: 70, b: 70 };
+
+        test('uses CIE L* by default', () => {
+            const engine = new TrappingEngine();
+            expect(engine.lightnessModel).toBe('lab');
+            expect(engine.calculateLightness(255, 255, 255)).toBeCloseTo(100, 2);
+            expect(engine.describeLightness({ r: 255, g: 0, b: 0 })).toBe('L* 53.2');
+        });
+
+        const lighter = (model, a, b) => {
+            const engine = new TrappingEngine({ lightnessModel: model });
+            const sorted = engine.sortColorsByLightness([
+                { ...a, lightness: engine.calculateLightness(a.r, a.g, a.b) },
+                { ...b, lightness: engine.calculateLightness(b.r, b.g, b.b) }
+            ]);
+            return sorted[0];
+        };
+
+        test('orders blue lighter than dark gray with lab, darker with density and luma', () => {
+            expect(lighter('lab', gray, blue)).toMatchObject(blue);
+            expect(lighter('density', gray, blue)).toMatchObject(gray);
+            expect(lighter('luma', gray, blue)).toMatchObject(gray);
+        });
+
+        test('orders yellow by its density through the blue filter, not its L*', () => {
+            const yellow = { r: 255, g: 255, b: 0 };
+            const lightGray = { r: 180, g: 180, b: 180 };
+
+            expect(lighter('lab', lightGray, yellow)).toMatchObject(yellow);
+            expect(lighter('density', lightGray, yellow)).toMatchObject(lightGray);
+        });
+
+        test('reports density and luma in their own units', () => {
+            expect(new TrappingEngine({ lightnessModel: 'density' }).describeLightness({ r: 0, g: 0, b: 0 })).toBe('D 1.70');
+            expect(new TrappingEngine({ lightnessModel: 'luma' }).describeLightness({ r: 255, g: 0, b: 0 })).toBe("Y' 76");
+        });
+
+        test('rejects unknown models', () => {
+            expect(() => new TrappingEngine({ lightnessModel: 'hsv' })).toThrow('Unknown lightness model');
+        });
+    });
+
+    describe('generateUnderbase()', () => {
+        // 5x1 row: black garment, red, red, red, transparent
+        const black = [0, 0, 0, 255];
+        const red = [200, 30, 30, 255];
+        const row = () => ({ width: 5, height: 1, data: new Uint8ClampedArray([...black, ...red, ...red, ...red, 0, 0, 0, 0]) });
+        const alpha = image => Array.from({ length: image.width * image.height }, (v, i) => image.data[i * 4 + 3]);
+
+        test('puts white under every opaque pixel except the garment color', () => {
+            const engine = new TrappingEngine();
+            const underbase = engine.generateUnderbase(row(), { garmentColor: { r: 0, g: 0, b: 0 } });
+
+            expect(alpha(underbase)).toEqual([0, 255, 255, 255, 0]);
+            expect(Array.from(underbase.data.slice(4, 8))).toEqual([255, 255, 255, 255]);
+        });
+
+        test('leaves pixels without a plate open', () => {
+            const engine = new TrappingEngine();
+            const labels = new Uint8Array([0, 1, TrappingEngine.NO_LABEL, 1, TrappingEngine.NO_LABEL]);
+            const underbase = engine.generateUnderbase(row(), { garmentColor: { r: 0, g: 0, b: 0 }, labels });
+
+            expect(alpha(underbase)).toEqual([0, 255, 0, 255, 0]);
+        });
+
+        test('chokes the underbase', () => {
+            const engine = new TrappingEngine();
+            // White art in a transparent 1px border
+            const image = { width: 7, height: 5, data: new Uint8ClampedArray(7 * 5 * 4) };
+            for (let y = 1; y < 4; y++) {
+                image.data.fill(255, (y * 7 + 1) * 4, (y * 7 + 6) * 4);
+            }
+            const underbase = engine.generateUnderbase(image, { garmentColor: { r: 0, g: 0, b: 0 }, chokePixels: 1 });
+
+            expect(alpha(underbase)).toEqual([
+                0, 0, 0, 0, 0, 0, 0,
+                0, 0, 0, 0, 0, 0, 0,
+                0, 0, 255, 255, 255, 0, 0,
+                0, 0, 0, 0, 0, 0, 0,
+                0, 0, 0, 0, 0, 0, 0
+            ]);
+        });
+
+        test('does not choke the underbase at the image edge, in either trap shape', () => {
+            // White art running off the left, top and bottom edges
+            const image = { width: 5, height: 3, data: new Uint8ClampedArray(5 * 3 * 4) };
+            for (let y = 0; y < 3; y++) {
+                image.data.fill(255, y * 5 * 4, (y * 5 + 4) * 4);
+            }
+
+            for (const trapShape of ['round', 'diamond']) {
+                const engine = new TrappingEngine({ trapShape });
+                const underbase = engine.generateUnderbase(image, { garmentColor: { r: 0, g: 0, b: 0 }, chokePixels: 2 });
+
+                expect(alpha(underbase)).toEqual([
+                    255, 255, 0, 0, 0,
+                    255, 255, 0, 0, 0,
+                    255, 255, 0, 0, 0
+                ]);
+            }
+        });
+
+        test('writes a tone per plate with densities', () => {
+            const engine = new TrappingEngine();
+            const labels = new Uint8Array([0, 1, 2, 1, TrappingEngine.NO_LABEL]);
+            const underbase = engine.generateUnderbase(row(), {
+                garmentColor: { r: 0, g: 0, b: 0 },
+                labels,
+                densities: [1, 0.5, 0]
+            });
+
+            expect(alpha(underbase)).toEqual([0, 128, 0, 128, 0]);
+            expect(Array.from(underbase.data.slice(4, 7))).toEqual([255, 255, 255]);
+        });
+
+        test('counts shades within the garment tolerance as the garment', () => {
+            const engine = new TrappingEngine();
+            const image = { width: 3, height: 1, data: new Uint8ClampedArray([10, 10, 10, 255, 25, 20, 20, 255, 200, 30, 30, 255]) };
+
+            expect(alpha(engine.generateUnderbase(image, { garmentColor: { r: 0, g: 0, b: 0 } }))).toEqual([0, 255, 255]);
+            expect(alpha(engine.generateUnderbase(image, { garmentColor: { r: 0, g: 0, b: 0 }, garmentTolerance: 30 }))).toEqual([0, 0, 255]);
+        });
+    });
+
+    describe('matchesGarment()', () => {
+        test('compares every channel within the tolerance', () => {
+            const engine = new TrappingEngine();
+            const navy = { r: 20, g: 30, b: 60 };
+
+            expect(engine.matchesGarment({ r: 25, g: 35, b: 70 }, navy)).toBe(true);
+            expect(engine.matchesGarment({ r: 25, g: 35, b: 71 }, navy)).toBe(false);
+            expect(engine.matchesGarment({ r: 25, g: 35, b: 71 }, navy, 11)).toBe(true);
+            expect(engine.matchesGarment(navy, navy, 0)).toBe(true);
+        });
+    });
+
+    describe('calculateUnderbaseDensity()', () => {
+        const black = { r: 0, g: 0, b: 0 };
+
+        test('gives light inks on a dark garment full white', () => {
+            const engine = new TrappingEngine();
+            expect(engine.calculateUnderbaseDensity({ r: 255, g: 255, b: 255 }, black)).toBeCloseTo(1);
+            expect(engine.calculateUnderbaseDensity({ r: 255, g: 216, b: 0 }, black)).toBeGreaterThan(0.8);
+        });
+
+        test('gives dark inks less white, saturated ones at least the chroma share', () => {
+            const engine = new TrappingEngine();
+            const navy = engine.calculateUnderbaseDensity({ r: 20, g: 30, b: 60 }, black);
+            const red = engine.calculateUnderbaseDensity({ r: 200, g: 0, b: 0 }, black);
+
+            expect(navy).toBeLessThan(0.3);
+            expect(red).toBeGreaterThanOrEqual(TrappingEngine.UNDERBASE_CHROMA_WEIGHT);
+            expect(engine.calculateUnderbaseDensity(black, black)).toBe(0);
+        });
+
+        test('needs less white on lighter garments and none on white', () => {
+            const engine = new TrappingEngine();
+            const ink = { r: 255, g: 216, b: 0 };
+
+            expect(engine.calculateUnderbaseDensity(ink, { r: 120, g: 120, b: 120 }))
+                .toBeLessThan(engine.calculateUnderbaseDensity(ink, black));
+            expect(engine.calculateUnderbaseDensity(ink, { r: 255, g: 255, b: 255 })).toBe(0);
+        });
+    });
+
+    describe('accumulateBorderColors()', () => {
+        // 4x3 image: white frame around two blue pixels
+        const white = [255, 255, 255, 255];
+        const blue = [0, 80, 160, 255];
+        const image = {
+            width: 4,
+            height: 3,
+            data: new Uint8ClampedArray([
+                ...white, ...white, ...white, ...white,
+                ...white, ...blue, ...blue, ...white,
+                ...white, ...white, ...white, [0, 0, 0, 0]].flat())
+        };
+
+        test('counts the outer ring of opaque pixels', () => {
+            const engine = new TrappingEngine();
+            const border = engine.accumulateBorderColors(image, new Map());
+
+            expect(Array.from(border.values())).toEqual([{ r: 255, g: 255, b: 255, count: 9 }]);
+        });
+
+        test('counts only the side columns of strips inside the document', () => {
+            const engine = new TrappingEngine();
+            const border = engine.accumulateBorderColors(image, new Map(), { top: false, bottom: false });
+
+            expect(border.get('255,255,255').count).toBe(5);
+        });
+    });
+
+    describe('findSubstrate()', () => {
+        const engine = new TrappingEngine();
+        const white = { r: 255, g: 255, b: 255, count: 400 };
+        const blue = { r: 0, g: 80, b: 160, count: 900 };
+        const cream = { r: 250, g: 245, b: 230, count: 600, members: [{ r: 250, g: 245, b: 230 }, { r: 251, g: 246, b: 231 }] };
+
+        test('picks the most common color', () => {
+            expect(engine.findSubstrate([white, blue], 'mostCommon')).toBe(blue);
+        });
+
+        test('picks the most common border color, matching cluster members', () => {
+            const border = new Map([
+                ['0,80,160', { r: 0, g: 80, b: 160, count: 3 }],
+                ['251,246,231', { r: 251, g: 246, b: 231, count: 40 }]
+            ]);
+            expect(engine.findSubstrate([blue, cream], 'border', border)).toBe(cream);
+        });
+
+        test('picks a given color', () => {
+            expect(engine.findSubstrate([white, blue], '#FFFFFF')).toBe(white);
+            expect(engine.findSubstrate([white, blue], { r: 0, g: 80, b: 160 })).toBe(blue);
+        });
+
+        test('returns null when the substrate is not a plate color', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(engine.findSubstrate([white, blue], '#000000')).toBeNull();
+            expect(engine.findSubstrate([white, blue], 'border', new Map())).toBeNull();
+            console.warn.mockRestore();
+        });
+    });
+
+    describe('orderColors()', () => {
+        const engine = new TrappingEngine();
+        const withLightness = (c) => ({ ...c, lightness: engine.calculateLightness(c.r, c.g, c.b) });
+        const white = withLightness({ r: 255, g: 255, b: 255 });
+        const yellow = withLightness({ r: 255, g: 216, b: 0 });
+        const navy = withLightness({ r: 0, g: 40, b: 100 });
+
+        test('orders lightest first without a print order', () => {
+            expect(engine.orderColors([navy, white, yellow])).toEqual([white, yellow, navy]);
+        });
+
+        test('follows an explicit print order', () => {
+            const ordered = engine.orderColors([navy, white, yellow], ['#FFD800', '#002864', '#FFFFFF']);
+            expect(ordered).toEqual([yellow, navy, white]);
+        });
+
+        test('ignores listed colors that are not in the document', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const ordered = engine.orderColors([navy, yellow], ['#FF0000', '#002864', { r: 255, g: 216, b: 0 }]);
+            expect(ordered).toEqual([navy, yellow]);
+            console.warn.mockRestore();
+        });
+
+        test('throws when a color is missing from the print order', () => {
+            expect(() => engine.orderColors([navy, white, yellow], ['#FFFFFF'])).toThrow('Print order is missing #FFD800, #002864');
+        });
+
+        test('matches a clustered color by any of its members', () => {
+            const cluster = { ...navy, members: [{ r: 0, g: 40, b: 100 }, { r: 1, g: 41, b: 99 }] };
+            const ordered = engine.orderColors([cluster, white], ['#012963', '#FFFFFF']);
+            expect(ordered).toEqual([cluster, white]);
+        });
+    });
+
+    describe('computeDistanceTransform()', () => {
+        test('computes exact squared Euclidean distances and nearest sources', () => {
+            const engine = new TrappingEngine();
+            const random = seededRandom(7);
+            const width = 19;
+            const height = 31;
+            const isSource = new Uint8Array(width * height);
+            const sources = [];
+            for (let i = 0; i < isSource.length; i++) {
+                if (random() < 0.02) {
+                    isSource[i] = 1;
+                    sources.push(i);
+                }
+            }
+
+            const { distanceSq, nearest } = engine.computeDistanceTransform(isSource, width, height);
+
+            for (let i = 0; i < isSource.length; i++) {
+                const x = i % width;
+                const y = Math.floor(i / width);
+                let best = Infinity;
+                for (const s of sources) {
+                    const dx = x - (s % width);
+                    const dy = y - Math.floor(s / width);
+                    best = Math.min(best, dx * dx + dy * dy);
+                }
+                expect(distanceSq[i]).toBe(best);
+
+                const nx = nearest[i] % width;
+                const ny = Math.floor(nearest[i] / width);
+                expect(isSource[nearest[i]]).toBe(1);
+                expect((x - nx) ** 2 + (y - ny) ** 2).toBe(best);
+            }
+        });
+
+        test('reports no nearest source for an empty image', () => {
+            const engine = new TrappingEngine();
+            const { distanceSq, nearest } = engine.computeDistanceTransform(new Uint8Array(6), 3, 2);
+            expect(Array.from(nearest)).toEqual([-1, -1, -1, -1, -1, -1]);
+            expect(distanceSq[0]).toBe(Infinity);
+        });
+    });
+
+    describe('label map pipeline', () => {
+        const red = { r: 255, g: 0, b: 0 };
+        const black = { r: 0, g: 0, b: 0 };
+
+        test('createLabelMap() assigns palette indices and NO_LABEL', () => {
+            const engine = new TrappingEngine();
+            const image = makeImage(4, 1, [[0, 0]], red);
+            image.data.set([0, 0, 0, 255], 4);
+            image.data.set([9, 9, 9, 255], 8);
+
+            const labels = engine.createLabelMap(image, [red, black]);
+
+            expect(Array.from(labels)).toEqual([0, 1, TrappingEngine.NO_LABEL, TrappingEngine.NO_LABEL]);
+        });
+
+        test('remapColors() assigns each color to its nearest plate', () => {
+            const engine = new TrappingEngine();
+            const white = { r: 255, g: 255, b: 255 };
+            const edges = [
+                { r: 240, g: 10, b: 10, count: 5 },
+                { r: 30, g: 20, b: 20, count: 7 },
+                { r: 235, g: 240, b: 235, count: 2 }
+            ];
+
+            for (const metric of ['deltaE2000', 'rgb']) {
+                const { remap, remappedPixels } = engine.remapColors(edges, [red, black, white], metric);
+
+                expect(remap.get((240 << 16) | (10 << 8) | 10)).toBe(0);
+                expect(remap.get((30 << 16) | (20 << 8) | 20)).toBe(1);
+                expect(remap.get((235 << 16) | (240 << 8) | 235)).toBe(2);
+                expect(remappedPixels).toEqual([5, 7, 2]);
+            }
+            expect(() => engine.remapColors(edges, [red], 'cmyk')).toThrow('Unknown distance metric');
+        });
+
+        test('createLabelMap() labels remapped colors with their plate', () => {
+            const engine = new TrappingEngine();
+            const image = makeImage(3, 1, [[0, 0]], red);
+            image.data.set([250, 5, 5, 255], 4);
+            image.data.set([9, 9, 9, 255], 8);
+            const { remap } = engine.remapColors([{ r: 250, g: 5, b: 5, count: 1 }], [red, black]);
+
+            const labels = engine.createLabelMap(image, [red, black], remap);
+
+            expect(Array.from(labels)).toEqual([0, 0, TrappingEngine.NO_LABEL]);
+        });
+
+        test('trapLabelPlate() only spreads under covering labels', () => {
+            const engine = new TrappingEngine();
+            const N = TrappingEngine.NO_LABEL;
+            const labels = new Uint8Array([0, 0, 1, 1, 1, N, N]);
+            const covering = new Uint8Array(256);
+            covering[1] = 1;
+
+            const coverage = engine.trapLabelPlate(labels, 7, 1, 0, 2, covering);
+
+            expect(Array.from(coverage)).toEqual([1, 1, 1, 1, 0, 0, 0]);
+        });
+
+        test('trapLabelPlate() matches the RGBA masked dilation', () => {
+            const engine = new TrappingEngine();
+            const random = seededRandom(3);
+            const width = 29;
+            const height = 17;
+            const labels = new Uint8Array(width * height);
+            for (let i = 0; i < labels.length; i++) {
+                labels[i] = Math.floor(random() * 3);
+            }
+            const covering = new Uint8Array(256);
+            covering[2] = 1;
+
+            const plate = engine.expandPlateToImageData(labels.map(l => (l === 0 ? 1 : 0)), width, height, red);
+            const mask = engine.expandPlateToImageData(labels.map(l => (l === 2 ? 1 : 0)), width, height, black);
+            const expected = engine.applyDilationWithMask(plate, 3, mask);
+
+            const coverage = engine.trapLabelPlate(labels, width, height, 0, 3, covering);
+            const actual = engine.expandPlateToImageData(coverage, width, height, red);
+
+            expect(Array.from(actual.data)).toEqual(Array.from(expected.data));
+        });
+
+        test('trapLabelPlateByRadius() does not jump over another plate', () => {
+            const labels = new Uint8Array([0, 1, 2, 2, 2, 2, 2, 2]);
+            const radii = new Float32Array(256);
+            radii[2] = 5;
+
+            for (const trapShape of ['round', 'diamond']) {
+                const coverage = new TrappingEngine({ trapShape }).trapLabelPlateByRadius(labels, 8, 1, 0, radii);
+                expect(Array.from(coverage)).toEqual([1, 0, 0, 0, 0, 0, 0, 0]);
+            }
+        });
+
+        test('trapLabelPlateByRadius() uses the width of each covering label', () => {
+            const engine = new TrappingEngine();
+            const labels = new Uint8Array([1, 1, 1, 1, 0, 2, 2, 2, 2]);
+            const radii = new Float32Array(256);
+            radii[1] = 3;
+            radii[2] = 1;
+
+            const coverage = engine.trapLabelPlateByRadius(labels, 9, 1, 0, radii);
+
+            expect(Array.from(coverage)).toEqual([0, 1, 1, 1, 1, 1, 0, 0, 0]);
+        });
+
+        test('trapLabelPlateByRadius() with diamond traps stops at each label width', () => {
+            const engine = new TrappingEngine({ trapShape: 'diamond' });
+            const labels = new Uint8Array([1, 1, 1, 1, 0, 2, 2, 2, 2]);
+            const radii = new Float32Array(256);
+            radii[1] = 3;
+            radii[2] = 1;
+
+            const coverage = engine.trapLabelPlateByRadius(labels, 9, 1, 0, radii);
+
+            expect(Array.from(coverage)).toEqual([0, 1, 1, 1, 1, 1, 0, 0, 0]);
+        });
+    });
+
+    describe('trap types', () => {
+        test('rejects an unknown trap type', () => {
+            expect(() => new TrappingEngine({ trapType: 'overprint' })).toThrow('Unknown trap type "overprint"');
+        });
+
+        test('getTrapGrowth() puts the overlap on the spreading, covering or both plates', () => {
+            expect(new TrappingEngine().getTrapGrowth(4, 0)).toBe(4);
+            expect(new TrappingEngine({ trapType: 'choke' }).getTrapGrowth(4, 0)).toBe(0);
+            expect(new TrappingEngine({ trapType: 'choke' }).getTrapGrowth(0, 4)).toBe(4);
+            expect(new TrappingEngine({ trapType: 'centerline' }).getTrapGrowth(4, 0)).toBe(2);
+            expect(new TrappingEngine({ trapType: 'centerline' }).getTrapGrowth(0, 4)).toBe(2);
+        });
+
+        test('createFineFeatureMask() flags parts of a label thinner than twice its radius', () => {
+            const engine = new TrappingEngine();
+            // 12x1 row: dark 1, a 2px stroke of light 0, dark 1, an 8px area of light 0
+            const labels = new Uint8Array([1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0]);
+            const radii = new Float32Array(256);
+            radii[0] = 2;
+
+            const fine = engine.createFineFeatureMask(labels, 12, 1, radii);
+
+            expect(Array.from(fine)).toEqual([0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+            expect(engine.createFineFeatureMask(labels, 12, 1, new Float32Array(256))).toBeNull();
+        });
+
+        test('a choking plate does not grow over fine features of earlier plates', () => {
+            // Dark plate 1 chokes 2px over light plate 0: the 2px stroke stays open, the wide area is trapped
+            const labels = new Uint8Array([1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0]);
+            const radii = new Float32Array(256);
+            radii[0] = 2;
+
+            for (const trapShape of ['round', 'diamond']) {
+                const engine = new TrappingEngine({ trapShape, trapType: 'choke' });
+                const fine = engine.createFineFeatureMask(labels, 12, 1, radii);
+                const coverage = engine.trapLabelPlateByRadius(labels, 12, 1, 1, radii, fine);
+
+                expect(Array.from(coverage)).toEqual([1, 0, 0, 1, 1, 1, 0, 0, 0, 0, 0, 0]);
+            }
+        });
+
+        test('fine features do not block an earlier plate spreading under a later one', () => {
+            const engine = new TrappingEngine();
+            const labels = new Uint8Array([0, 0, 0, 1, 1, 0]);
+            const fine = new Uint8Array([0, 0, 0, 1, 1, 0]);
+            const radii = new Float32Array(256);
+            radii[1] = 2;
+
+            const coverage = engine.trapLabelPlateByRadius(labels, 6, 1, 0, radii, fine);
+
+            expect(Array.from(coverage)).toEqual([1, 1, 1, 1, 1, 1]);
+        });
+
+        test('applyDilationByLabel() skips fine features of earlier plates as well', () => {
+            const engine = new TrappingEngine({ trapType: 'choke' });
+            const blue = { r: 0, g: 40, b: 160 };
+            const layer = makeImage(6, 1, [[0, 0]], blue);
+            const labels = new Uint8Array([1, 0, 0, 1, 0, 0]);
+            const fine = new Uint8Array([0, 1, 1, 0, 0, 0]);
+            const radii = new Float32Array(256);
+            radii[0] = 2;
+
+            const trapped = engine.applyDilationByLabel(layer, labels, radii, fine, 1);
+
+            expect(Array.from({ length: 6 }, (v, i) => trapped.data[i * 4 + 3])).toEqual([255, 0, 0, 0, 0, 0]);
+        });
+
+        test('applyErosion() follows the trap shape', () => {
+            // 7x7 opaque square in a 9x9 image: a 2px choke keeps its 3x3 core in either shape,
+            // a 3px round choke only the center
+            const size = 9;
+            const image = { width: size, height: size, data: new Uint8ClampedArray(size * size * 4) };
+            for (let y = 1; y < 8; y++) {
+                for (let x = 1; x < 8; x++) {
+                    image.data[(y * size + x) * 4 + 3] = 255;
+                }
+            }
+            const count = result => Array.from({ length: size * size }, (v, i) => result.data[i * 4 + 3]).filter(a => a > 0).length;
+
+            expect(count(new TrappingEngine({ trapShape: 'round' }).applyErosion(image, 2))).toBe(9);
+            expect(count(new TrappingEngine({ trapShape: 'diamond' }).applyErosion(image, 2))).toBe(9);
+            expect(count(new TrappingEngine({ trapShape: 'round' }).applyErosion(image, 3))).toBe(1);
+        });
+    });
+
+    describe('highlight white', () => {
+        // 9x1 row: ink 0, highlight label 1, ink 0, then no plate
+        const N = TrappingEngine.NO_LABEL;
+        const labels = new Uint8Array([0, 0, 1, 1, 1, 0, 0, N, N]);
+        const highlightLabels = new Uint8Array(256);
+        highlightLabels[1] = 1;
+
+        test('trapHighlightPlate() covers only its labels without an adjustment', () => {
+            const engine = new TrappingEngine();
+            const coverage = engine.trapHighlightPlate(labels, 9, 1, highlightLabels);
+
+            expect(Array.from(coverage)).toEqual([0, 0, 1, 1, 1, 0, 0, 0, 0]);
+        });
+
+        test('trapHighlightPlate() spreads over the inks, not into pixels without a plate', () => {
+            const engine = new TrappingEngine();
+            const coverage = engine.trapHighlightPlate(labels, 9, 1, highlightLabels, { spreadPixels: 3 });
+
+            expect(Array.from(coverage)).toEqual([1, 1, 1, 1, 1, 1, 1, 0, 0]);
+        });
+
+        test('trapHighlightPlate() chokes inside its areas', () => {
+            const engine = new TrappingEngine();
+            const coverage = engine.trapHighlightPlate(labels, 9, 1, highlightLabels, { chokePixels: 1 });
+
+            expect(Array.from(coverage)).toEqual([0, 0, 0, 1, 0, 0, 0, 0, 0]);
+        });
+
+        test('chokeCoverage() does not choke at the image edge, in either trap shape', () => {
+            const coverage = new Uint8Array([1, 1, 1, 1, 0]);
+            const strip = new Uint8Array(5);
+
+            for (const trapShape of ['round', 'diamond']) {
+                const engine = new TrappingEngine({ trapShape });
+                expect(Array.from(engine.chokeCoverage(strip, 5, 1, coverage, 2))).toEqual([1, 1, 0, 0, 0]);
+            }
+        });
+    });
+
+    describe('layer plates', () => {
+        const yellow = { r: 255, g: 220, b: 0 };
+        const blue = { r: 0, g: 40, b: 160 };
+
+        test('createStackLabelMap() labels each pixel with its darkest opaque plate', () => {
+            const engine = new TrappingEngine();
+            const light = makeImage(4, 1, [[0, 0], [1, 0]], yellow);
+            const dark = makeImage(4, 1, [[1, 0], [2, 0]], blue);
+
+            const labels = engine.createStackLabelMap([light, dark]);
+
+            expect(Array.from(labels)).toEqual([0, 1, 1, TrappingEngine.NO_LABEL]);
+        });
+
+        test('createCoveringMask() is opaque only over covering labels', () => {
+            const engine = new TrappingEngine();
+            const N = TrappingEngine.NO_LABEL;
+            const covering = new Uint8Array(256);
+            covering[1] = 1;
+
+            const mask = engine.createCoveringMask(new Uint8Array([0, 1, N]), 3, 1, covering);
+
+            expect(Array.from(engine.getAlphaCoverage(mask))).toEqual([0, 1, 0]);
+        });
+
+        test('traps a layer plate under darker plates and keeps its own pixel colours', () => {
+            const engine = new TrappingEngine();
+            const light = makeImage(8, 1, [[0, 0], [1, 0], [2, 0]], yellow);
+            light.data.set([250, 200, 10, 255], 2 * 4);
+            const dark = makeImage(8, 1, [[3, 0], [4, 0], [5, 0]], blue);
+
+            const labels = engine.createStackLabelMap([light, dark]);
+            const covering = new Uint8Array(256);
+            covering[1] = 1;
+            const mask = engine.createCoveringMask(labels, 8, 1, covering);
+            const trapped = engine.applyDilationWithMask(light, 2, mask);
+
+            expect(Array.from(engine.getAlphaCoverage(trapped))).toEqual([1, 1, 1, 1, 1, 0, 0, 0]);
+            expect(Array.from(trapped.data.subarray(3 * 4, 4 * 4))).toEqual([250, 200, 10, 255]);
+        });
+
+        test('applyDilationByLabel() does not jump over another plate', () => {
+            const engine = new TrappingEngine();
+            const light = makeImage(8, 1, [[0, 0]], yellow);
+            const middle = makeImage(8, 1, [[1, 0]], { r: 200, g: 60, b: 60 });
+            const dark = makeImage(8, 1, [[2, 0], [3, 0], [4, 0], [5, 0], [6, 0], [7, 0]], blue);
+            const labels = engine.createStackLabelMap([light, middle, dark]);
+            const radii = new Float32Array(256);
+            radii[2] = 5;
+
+            const trapped = engine.applyDilationByLabel(light, labels, radii);
+
+            expect(Array.from(engine.getAlphaCoverage(trapped))).toEqual([1, 0, 0, 0, 0, 0, 0, 0]);
+        });
+
+        test('applyDilationByLabel() matches masked dilation for a uniform width', () => {
+            const engine = new TrappingEngine();
+            const light = makeImage(8, 1, [[0, 0], [1, 0], [2, 0]], yellow);
+            const dark = makeImage(8, 1, [[3, 0], [4, 0], [5, 0]], blue);
+            const labels = engine.createStackLabelMap([light, dark]);
+            const covering = new Uint8Array(256);
+            covering[1] = 1;
+            const radii = new Float32Array(256);
+            radii[1] = 2;
+
+            const expected = engine.applyDilationWithMask(light, 2, engine.createCoveringMask(labels, 8, 1, covering));
+            const trapped = engine.applyDilationByLabel(light, labels, radii);
+
+            expect(Array.from(trapped.data)).toEqual(Array.from(expected.data));
+        });
+    });
+});